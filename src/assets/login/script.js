@@ -1,32 +1,61 @@
 localStorage.getItem('darkMode') === 'enabled' && document.body.classList.add('dark-mode');
 document.getElementById('loginForm').addEventListener('submit', async (event) => {
     event.preventDefault();
-    const password = document.getElementById('password').value;
+    const isCodeStep = document.getElementById('codeControl').style.display !== 'none';
+    const body = isCodeStep
+        ? document.getElementById('code').value
+        : document.getElementById('password').value;
 
     try {
-        const response = await fetch('/login/authenticate', {
+        const response = await fetch(isCodeStep ? '/login/verify-2fa' : '/login/authenticate', {
             method: 'POST',
             headers: {
                 'Content-Type': 'text/plain'
             },
-            body: password
+            body
         });
 
-        const { success, status, message } = await response.json();
+        const { success, status, message, body: result } = await response.json();
         if (!success) {
-            passwordError.textContent = '⚠️ Wrong Password!';
+            if (result?.restart) showStep(false);
+            passwordError.textContent = result?.lockout
+                ? `⛔ Too many failed attempts! Try again in ${formatLockout(result.lockout)}.`
+                : isCodeStep ? `⚠️ ${message}` : '⚠️ Wrong Password!';
             throw new Error(`Login failed with status ${status}: ${message}`);
         }
 
+        if (result?.twoFactorRequired) {
+            passwordError.textContent = '';
+            showStep(true);
+            return;
+        }
+
         window.location.href = '/panel';
     } catch (error) {
         console.error('Login error:', error.message || error);
     }
 });
 
+function showStep(isCodeStep) {
+    const password = document.getElementById('password');
+    const code = document.getElementById('code');
+    document.getElementById('passwordControl').style.display = isCodeStep ? 'none' : '';
+    document.getElementById('codeControl').style.display = isCodeStep ? '' : 'none';
+    password.required = !isCodeStep;
+    code.required = isCodeStep;
+    code.value = '';
+    (isCodeStep ? code : password).focus();
+}
+
 document.getElementById("togglePassword").addEventListener("click", function () {
     const passwordInput = document.getElementById("password");
     const isPassword = passwordInput.type === "password";
     passwordInput.type = isPassword ? "text" : "password";
     this.textContent = isPassword ? "visibility_off" : "visibility";
-});
\ No newline at end of file
+});
+
+function formatLockout(seconds) {
+    if (seconds < 60) return `${seconds} seconds`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} minutes`;
+    return `${Math.ceil(seconds / 3600)} hours`;
+}
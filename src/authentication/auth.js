@@ -1,28 +1,101 @@
 import { SignJWT, jwtVerify } from 'jose';
 import { randomBytes } from 'tweetnacl';
 import { respond } from '../helpers/helpers';
+import { clearFailedLogins, getLoginLockout, recordFailedLogin } from './lockout';
+import { checkPasswordPolicy, getPasswordPolicy, hashPassword, timingSafeEqual, verifyPassword } from './password';
+import { getTOTPConfig, verifySecondFactor } from './totp';
+import { SESSION_TTL, clearSessions, createSession, deleteSession, listSessions, touchSession } from './sessions';
 
 export async function generateJWTToken(request, env) {
     if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const lockout = await getLoginLockout(env, request);
+    if (lockout) return await respond(false, 429, `Too many failed attempts. Try again in ${lockout} seconds.`, { lockout });
     const password = await request.text();
     const savedPass = await env.kv.get('pwd');
-    if (password !== savedPass) return await respond(false, 401, 'Wrong password.');
+    const { isValid, needsRehash } = await verifyPassword(password, savedPass);
+    if (!isValid) {
+        const newLockout = await recordFailedLogin(env, request);
+        return await respond(false, 401, 'Wrong password.', newLockout ? { lockout: newLockout } : null);
+    }
+
+    if (needsRehash) await env.kv.put('pwd', await hashPassword(password));
+    if (await getTOTPConfig(env)) {
+        // the failure count is only cleared once the code is right too, so codes can't be brute-forced between password entries
+        const challengeToken = await signToken(env, { stage: '2fa' }, '5m');
+        return await respond(true, 200, null, { twoFactorRequired: true }, {
+            'Set-Cookie': `twoFactorToken=${challengeToken}; HttpOnly; Secure; Max-Age=300; Path=/login; SameSite=Strict`,
+            'Content-Type': 'application/json',
+        });
+    }
+
+    await clearFailedLogins(env, request);
+    return await issueSession(request, env);
+}
+
+/**
+ * Second login step when 2FA is enabled: checks the TOTP or recovery code sent as the body,
+ * for a client that has passed the password step within the last five minutes.
+ */
+export async function verifyTwoFactor(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const lockout = await getLoginLockout(env, request);
+    if (lockout) return await respond(false, 429, `Too many failed attempts. Try again in ${lockout} seconds.`, { lockout });
+    const challenge = await verifyToken(env, getCookie(request, 'twoFactorToken'));
+    if (challenge?.stage !== '2fa') return await respond(false, 401, 'Login expired, please enter your password again.', { restart: true });
+
+    const code = (await request.text()).trim();
+    if (!await verifySecondFactor(env, code)) {
+        const newLockout = await recordFailedLogin(env, request);
+        return await respond(false, 401, 'Wrong code.', newLockout ? { lockout: newLockout } : null);
+    }
+
+    await clearFailedLogins(env, request);
+    return await issueSession(request, env, ['twoFactorToken=; HttpOnly; Secure; Path=/login; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT']);
+}
+
+async function getSecretKey(env) {
     let secretKey = await env.kv.get('secretKey');
     if (!secretKey) {
         secretKey = generateSecretKey();
         await env.kv.put('secretKey', secretKey);
     }
-    const secret = new TextEncoder().encode(secretKey);
-    const jwtToken = await new SignJWT({ userID: globalThis.userID })
-        .setProtectedHeader({ alg: 'HS256' })
+
+    return new TextEncoder().encode(secretKey);
+}
+
+async function signToken(env, payload, expirationTime, jti) {
+    const jwt = new SignJWT(payload).setProtectedHeader({ alg: 'HS256' });
+    if (jti) jwt.setJti(jti);
+    return await jwt
         .setIssuedAt()
-        .setExpirationTime('24h')
-        .sign(secret);
+        .setExpirationTime(expirationTime)
+        .sign(await getSecretKey(env));
+}
 
-    return await respond(true, 200, 'Successfully generated Auth token', null, {
-        'Set-Cookie': `jwtToken=${jwtToken}; HttpOnly; Secure; Max-Age=${7 * 24 * 60 * 60}; Path=/; SameSite=Strict`,
-        'Content-Type': 'text/plain',
-    });
+async function verifyToken(env, token) {
+    if (!token) return null;
+    try {
+        const { payload } = await jwtVerify(token, await getSecretKey(env));
+        return payload;
+    } catch (error) {
+        console.log(error);
+        return null;
+    }
+}
+
+function getCookie(request, name) {
+    const cookie = request.headers.get('Cookie')?.match(new RegExp(`(^|;\\s*)${name}=([^;]*)`));
+    return cookie ? cookie[2] : null;
+}
+
+async function issueSession(request, env, extraCookies = []) {
+    const sessionID = await createSession(env, request);
+    const jwtToken = await signToken(env, { userID: globalThis.userID }, `${SESSION_TTL}s`, sessionID);
+    return await respond(true, 200, 'Successfully generated Auth token', null, [
+        ['Set-Cookie', `jwtToken=${jwtToken}; HttpOnly; Secure; Max-Age=${SESSION_TTL}; Path=/; SameSite=Strict`],
+        ...extraCookies.map(cookie => ['Set-Cookie', cookie]),
+        ['Content-Type', 'text/plain']
+    ]);
 }
 
 function generateSecretKey() {
@@ -30,20 +103,25 @@ function generateSecretKey() {
     return Array.from(key, byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
+// the stored session of a valid token, null once it has been logged out
+async function getSession(request, env) {
+    const token = getCookie(request, 'jwtToken');
+    if (!token) {
+        console.log('Unauthorized: Token not available!');
+        return null;
+    }
+
+    const payload = await verifyToken(env, token);
+    // 2FA challenge tokens are signed with the same key but only lead to the code step
+    if (!payload?.jti || payload.stage) return null;
+    return await touchSession(env, request, payload.jti);
+}
+
 export async function Authenticate(request, env) {
     try {
-        const secretKey = await env.kv.get('secretKey');
-        const secret = new TextEncoder().encode(secretKey);
-        const cookie = request.headers.get('Cookie')?.match(/(^|;\s*)jwtToken=([^;]*)/);
-        const token = cookie ? cookie[2] : null;
-
-        if (!token) {
-            console.log('Unauthorized: Token not available!');
-            return false;
-        }
-
-        const { payload } = await jwtVerify(token, secret);
-        console.log(`Successfully authenticated, User ID: ${payload.userID}`);
+        const session = await getSession(request, env);
+        if (!session) return false;
+        console.log(`Successfully authenticated, Session ID: ${session.id}`);
         return true;
     } catch (error) {
         console.log(error);
@@ -51,9 +129,74 @@ export async function Authenticate(request, env) {
     }
 }
 
-export async function logout() {
+export async function getCSRFToken(request, env) {
+    const session = await getSession(request, env);
+    return session?.csrfToken || null;
+}
+
+/**
+ * Guards state-changing panel requests against cross-site forgery. The browser's Sec-Fetch-Site and Origin
+ * headers must point to the panel itself, and the X-CSRF-Token header must match the one of the session.
+ * Before the first password is set there is no session yet, so only the headers are checked.
+ * @param {Request} request The panel request.
+ * @param {object} env The worker environment.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyCSRF(request, env) {
+    const fetchSite = request.headers.get('Sec-Fetch-Site');
+    if (fetchSite && fetchSite !== 'same-origin') return false;
+    const origin = request.headers.get('Origin');
+    if (origin && origin !== urlOrigin) return false;
+    if (!await env.kv.get('pwd')) return true;
+
+    const csrfToken = await getCSRFToken(request, env);
+    const headerToken = request.headers.get('X-CSRF-Token');
+    if (!csrfToken || !headerToken) return false;
+    const encoder = new TextEncoder();
+    return timingSafeEqual(encoder.encode(headerToken), encoder.encode(csrfToken));
+}
+
+// sent with an HTTP 403 status, unlike respond(), and the usual JSON body so the panel can show the message
+export function rejectCSRF() {
+    return new Response(JSON.stringify({
+        success: false,
+        status: 403,
+        message: 'Missing or invalid CSRF token.',
+        body: ''
+    }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+export async function logout(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    if (!await verifyCSRF(request, env)) return rejectCSRF();
+    const payload = await verifyToken(env, getCookie(request, 'jwtToken'));
+    if (payload?.jti) await deleteSession(env, payload.jti);
     return await respond(true, 200, 'Successfully logged out!', null, {
-        'Set-Cookie': 'jwtToken=; Secure; SameSite=None; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+        'Set-Cookie': 'jwtToken=; HttpOnly; Secure; Path=/; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+        'Content-Type': 'text/plain'
+    });
+}
+
+export async function getSessionsList(request, env) {
+    const currentSession = await getSession(request, env);
+    if (!currentSession) return await respond(false, 401, 'Unauthorized or expired session.');
+    const sessions = await listSessions(env);
+    return await respond(true, 200, null, sessions.map(({ csrfToken, ...session }) => ({
+        ...session,
+        isCurrent: session.id === currentSession.id
+    })));
+}
+
+export async function logoutAllSessions(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    await clearSessions(env);
+    return await respond(true, 200, 'Successfully logged out of all sessions!', null, {
+        'Set-Cookie': 'jwtToken=; HttpOnly; Secure; Path=/; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
         'Content-Type': 'text/plain'
     });
 }
@@ -63,10 +206,16 @@ export async function resetPassword(request, env) {
     const oldPwd = await env.kv.get('pwd');
     if (oldPwd && !auth) return await respond(false, 401, 'Unauthorized.');
     const newPwd = await request.text();
-    if (newPwd === oldPwd) return await respond(false, 400, 'Please enter a new Password.');
-    await env.kv.put('pwd', newPwd);
+    const policyError = checkPasswordPolicy(newPwd, getPasswordPolicy(env));
+    if (policyError) return await respond(false, 400, policyError);
+    const { isValid: isSamePassword } = await verifyPassword(newPwd, oldPwd);
+    if (isSamePassword) return await respond(false, 400, 'Please enter a new Password.');
+    await env.kv.put('pwd', await hashPassword(newPwd));
+    // a new key invalidates every token signed so far, on top of dropping the sessions
+    await env.kv.put('secretKey', generateSecretKey());
+    await clearSessions(env);
     return await respond(true, 200, 'Successfully logged in!', null, {
-        'Set-Cookie': 'jwtToken=; Path=/; Secure; SameSite=None; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
+        'Set-Cookie': 'jwtToken=; HttpOnly; Secure; Path=/; SameSite=Strict; Expires=Thu, 01 Jan 1970 00:00:00 GMT',
         'Content-Type': 'text/plain',
     });
 }
\ No newline at end of file
@@ -0,0 +1,120 @@
+const FREE_ATTEMPTS = 5;
+const BASE_LOCKOUT = 60;
+const MAX_LOCKOUT = 24 * 60 * 60;
+const ATTEMPTS_TTL = 24 * 60 * 60;
+const GLOBAL_WINDOW = 15 * 60;
+const GLOBAL_THRESHOLD = 50;
+const MAX_LOG_ENTRIES = 50;
+
+function getClientIP(request) {
+    return request.headers.get('cf-connecting-ip') || 'unknown';
+}
+
+async function readJSON(env, key, fallback) {
+    try {
+        return await env.kv.get(key, { type: 'json' }) || fallback;
+    } catch (error) {
+        console.log(error);
+        return fallback;
+    }
+}
+
+async function getGlobalFailures(env) {
+    const global = await readJSON(env, 'loginAttempts:global', { failures: 0, windowStart: 0 });
+    return Date.now() - global.windowStart < GLOBAL_WINDOW * 1000 ? global : { failures: 0, windowStart: Date.now() };
+}
+
+/**
+ * Tells how long an IP has to wait before trying to log in again.
+ * @param {object} env The worker environment.
+ * @param {Request} request The login request.
+ * @returns {Promise<number>} The remaining lockout in seconds, 0 if the IP may try now.
+ */
+export async function getLoginLockout(env, request) {
+    const attempts = await readJSON(env, `loginAttempts:${getClientIP(request)}`, null);
+    if (!attempts?.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((attempts.lockedUntil - Date.now()) / 1000));
+}
+
+/**
+ * Counts a failed login for the IP and globally, and logs it for the panel. Past the free attempts,
+ * each failure doubles the IP's lockout, up to a day. While the whole panel is being probed, i.e.
+ * the global counter is over its threshold, every IP is locked out from its first failure.
+ * KV has no atomic increments, so counts from parallel requests may be slightly off.
+ * The IP's counter is written first and each write fails on its own, so a rejected write to the
+ * busy global counter or the log never costs the lockout.
+ * @param {object} env The worker environment.
+ * @param {Request} request The login request.
+ * @returns {Promise<number>} The lockout now applied to the IP in seconds, 0 if none.
+ */
+export async function recordFailedLogin(env, request) {
+    const ip = getClientIP(request);
+    const now = Date.now();
+    const global = await getGlobalFailures(env);
+    global.failures++;
+
+    const attempts = await readJSON(env, `loginAttempts:${ip}`, { failures: 0 });
+    attempts.failures++;
+    attempts.lastFailure = now;
+    const freeAttempts = global.failures > GLOBAL_THRESHOLD ? 0 : FREE_ATTEMPTS;
+    const excess = attempts.failures - freeAttempts;
+    const lockout = excess > 0 ? Math.min(BASE_LOCKOUT * 2 ** (excess - 1), MAX_LOCKOUT) : 0;
+    attempts.lockedUntil = lockout ? now + lockout * 1000 : null;
+
+    try {
+        await env.kv.put(`loginAttempts:${ip}`, JSON.stringify(attempts), { expirationTtl: ATTEMPTS_TTL });
+    } catch (error) {
+        console.log('Recording failed login failed:', error);
+    }
+
+    try {
+        await env.kv.put('loginAttempts:global', JSON.stringify(global), { expirationTtl: GLOBAL_WINDOW * 2 });
+    } catch (error) {
+        console.log('Counting failed login globally failed:', error);
+    }
+
+    try {
+        const log = await readJSON(env, 'failedLogins', []);
+        log.unshift({
+            ip,
+            country: request.cf?.country || null,
+            time: now,
+            userAgent: request.headers.get('User-Agent'),
+            failures: attempts.failures,
+            lockout
+        });
+
+        await env.kv.put('failedLogins', JSON.stringify(log.slice(0, MAX_LOG_ENTRIES)));
+    } catch (error) {
+        console.log('Logging failed login failed:', error);
+    }
+
+    return lockout;
+}
+
+/**
+ * Clears the IP's failure count after a successful login.
+ * @param {object} env The worker environment.
+ * @param {Request} request The login request.
+ */
+export async function clearFailedLogins(env, request) {
+    try {
+        await env.kv.delete(`loginAttempts:${getClientIP(request)}`);
+    } catch (error) {
+        console.log(error);
+    }
+}
+
+/**
+ * Reads the recent failed logins and the current global failure count for the panel.
+ * @param {object} env The worker environment.
+ * @returns {Promise<{log: object[], globalFailures: number, isUnderAttack: boolean}>}
+ */
+export async function getFailedLogins(env) {
+    const [log, global] = await Promise.all([readJSON(env, 'failedLogins', []), getGlobalFailures(env)]);
+    return {
+        log,
+        globalFailures: global.failures,
+        isUnderAttack: global.failures > GLOBAL_THRESHOLD
+    };
+}
@@ -0,0 +1,82 @@
+// Stored as "pbkdf2-sha256$<iterations>$<salt>$<hash>", base64 encoded. 100k is the most Workers allow.
+const HASH_SCHEME = 'pbkdf2-sha256';
+const ITERATIONS = 100000;
+const SALT_LENGTH = 16;
+const HASH_LENGTH = 32;
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function deriveKey(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, HASH_LENGTH * 8);
+    return new Uint8Array(bits);
+}
+
+export function timingSafeEqual(a, b) {
+    if (a.byteLength !== b.byteLength) return false;
+    let difference = 0;
+    for (let i = 0; i < a.byteLength; i++) difference |= a[i] ^ b[i];
+    return difference === 0;
+}
+
+/**
+ * Hashes a panel password with a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} The versioned hash to store in KV.
+ */
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const hash = await deriveKey(password, salt, ITERATIONS);
+    return `${HASH_SCHEME}$${ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * Checks a password against the stored value, which may still be a plaintext password from before hashing.
+ * @param {string} password The password to check.
+ * @param {string | null} stored The "pwd" value from KV.
+ * @returns {Promise<{isValid: boolean, needsRehash: boolean}>} needsRehash is set for valid passwords
+ * stored in plaintext or with older parameters.
+ */
+export async function verifyPassword(password, stored) {
+    if (!stored) return { isValid: false, needsRehash: false };
+    const [scheme, iterations, salt, hash] = stored.split('$');
+    if (scheme !== HASH_SCHEME) {
+        // legacy plaintext, compared as digests so the lengths don't leak either
+        const digest = async value => new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+        const isValid = timingSafeEqual(await digest(password), await digest(stored));
+        return { isValid, needsRehash: isValid };
+    }
+
+    const derived = await deriveKey(password, fromBase64(salt), +iterations);
+    const isValid = timingSafeEqual(derived, fromBase64(hash));
+    return { isValid, needsRehash: isValid && +iterations !== ITERATIONS };
+}
+
+/**
+ * Reads the password policy, configurable with the PASSWORD_MIN_LENGTH and PASSWORD_REQUIRE_MIXED variables.
+ * @param {object} env The worker environment.
+ * @returns {{minLength: number, requireMixed: boolean}}
+ */
+export function getPasswordPolicy(env) {
+    return {
+        minLength: Math.max(8, parseInt(env.PASSWORD_MIN_LENGTH) || 8),
+        requireMixed: env.PASSWORD_REQUIRE_MIXED !== 'false'
+    };
+}
+
+/**
+ * @param {string} password
+ * @param {{minLength: number, requireMixed: boolean}} policy
+ * @returns {string | null} Why the password is rejected, or null if it complies.
+ */
+export function checkPasswordPolicy(password, { minLength, requireMixed }) {
+    if (password.length < minLength) return `Password must be at least ${minLength} characters long.`;
+    if (requireMixed && !(/[A-Z]/.test(password) && /[0-9]/.test(password))) return 'Password must contain at least one capital letter and one number.';
+    return null;
+}
@@ -0,0 +1,115 @@
+export const SESSION_TTL = 24 * 60 * 60;
+const LAST_SEEN_INTERVAL = 5 * 60;
+
+const SESSION_PREFIX = 'session:';
+
+// Each session lives under its own key that expires with it, so refreshing one session never rewrites another,
+// and a logout only deletes keys. A stale read of a shared list could otherwise bring logged-out sessions back.
+async function getSession(env, id) {
+    try {
+        const session = await env.kv.get(`${SESSION_PREFIX}${id}`, { type: 'json' });
+        return session?.expiresAt > Date.now() ? session : null;
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting sessions - ${error}`);
+    }
+}
+
+async function saveSession(env, session) {
+    // KV refuses expirations less than a minute away, and such a session is about to end anyway
+    const expirationTtl = Math.floor((session.expiresAt - Date.now()) / 1000);
+    if (expirationTtl < 60) return;
+    try {
+        await env.kv.put(`${SESSION_PREFIX}${session.id}`, JSON.stringify(session), { expirationTtl });
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while updating sessions - ${error}`);
+    }
+}
+
+async function getSessionIDs(env) {
+    try {
+        const ids = [];
+        let cursor;
+        do {
+            const page = await env.kv.list({ prefix: SESSION_PREFIX, cursor });
+            page.keys.forEach(({ name }) => ids.push(name.slice(SESSION_PREFIX.length)));
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+
+        return ids;
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting sessions - ${error}`);
+    }
+}
+
+function getClientInfo(request) {
+    return {
+        ip: request.headers.get('cf-connecting-ip'),
+        country: request.cf?.country || null,
+        userAgent: request.headers.get('User-Agent')
+    };
+}
+
+/**
+ * Registers a new login, whose ID goes into the session token as its jti.
+ * @param {object} env The worker environment.
+ * @param {Request} request The login request.
+ * @returns {Promise<string>} The session ID.
+ */
+export async function createSession(env, request) {
+    const now = Date.now();
+    const session = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        expiresAt: now + SESSION_TTL * 1000,
+        lastSeen: now,
+        csrfToken: Array.from(crypto.getRandomValues(new Uint8Array(32)), byte => byte.toString(16).padStart(2, '0')).join(''),
+        ...getClientInfo(request)
+    };
+
+    await saveSession(env, session);
+    return session.id;
+}
+
+/**
+ * Looks up a session and refreshes its last-seen time and IP. These are only written every few minutes,
+ * since the panel authenticates each of its API calls.
+ * @param {object} env The worker environment.
+ * @param {Request} request The authenticated request.
+ * @param {string} id The jti of the session token.
+ * @returns {Promise<object | null>} The session, or null if it was logged out or has expired.
+ */
+export async function touchSession(env, request, id) {
+    const session = await getSession(env, id);
+    if (!session) return null;
+
+    const now = Date.now();
+    if (now - session.lastSeen > LAST_SEEN_INTERVAL * 1000) {
+        Object.assign(session, { lastSeen: now, ...getClientInfo(request) });
+        await saveSession(env, session);
+    }
+
+    return session;
+}
+
+export async function deleteSession(env, id) {
+    try {
+        await env.kv.delete(`${SESSION_PREFIX}${id}`);
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while updating sessions - ${error}`);
+    }
+}
+
+export async function clearSessions(env) {
+    const ids = await getSessionIDs(env);
+    await Promise.all(ids.map(id => deleteSession(env, id)));
+}
+
+export async function listSessions(env) {
+    const ids = await getSessionIDs(env);
+    const sessions = await Promise.all(ids.map(id => getSession(env, id)));
+    return sessions.filter(Boolean).sort((a, b) => b.lastSeen - a.lastSeen);
+}
@@ -0,0 +1,218 @@
+import { Authenticate } from './auth';
+import { respond } from '../helpers/helpers';
+import { timingSafeEqual } from './password';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD = 30;
+const DIGITS = 6;
+const ALLOWED_DRIFT = 1;
+const PENDING_TTL = 10 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(bytes) {
+    let bits = 0, value = 0, output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(base32) {
+    let bits = 0, value = 0;
+    const bytes = [];
+    for (const char of base32.replace(/=+$/, '').toUpperCase()) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Computes the RFC 6238 code of a time step, i.e. HOTP (RFC 4226) over the step counter with HMAC-SHA1.
+ * @param {string} secret The base32 encoded shared secret.
+ * @param {number} step The number of 30 second periods since the epoch.
+ * @returns {Promise<string>}
+ */
+async function generateCode(secret, step) {
+    const counter = new DataView(new ArrayBuffer(8));
+    counter.setUint32(0, Math.floor(step / 2 ** 32));
+    counter.setUint32(4, step >>> 0);
+    const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter.buffer));
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// returns the matched time step, so a code cannot be used twice
+async function matchCode(secret, code) {
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(code)) return null;
+    const currentStep = Math.floor(Date.now() / 1000 / PERIOD);
+    for (let drift = -ALLOWED_DRIFT; drift <= ALLOWED_DRIFT; drift++) {
+        if (await generateCode(secret, currentStep + drift) === code) return currentStep + drift;
+    }
+
+    return null;
+}
+
+// recovery codes are 8 base32 characters, which may be typed in any case and with or without the dash
+function normalizeRecoveryCode(code) {
+    const normalized = code.replace(/[\s-]/g, '').toUpperCase();
+    return /^[A-Z2-7]{8}$/.test(normalized) ? normalized : null;
+}
+
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const fromHex = hex => Uint8Array.from(hex.match(/../g) || [], byte => parseInt(byte, 16));
+
+async function hmacRecoveryCode(code, salt) {
+    const key = await crypto.subtle.importKey('raw', salt, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(code)));
+}
+
+// Stored as "hmac-sha256$<salt>$<hash>" in hex. A salted HMAC rather than the password's PBKDF2, since a
+// recovery attempt may check every stored code and the Worker's CPU budget can't pay for that many derivations.
+async function hashRecoveryCode(code) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return `hmac-sha256$${toHex(salt)}$${toHex(await hmacRecoveryCode(code, salt))}`;
+}
+
+/**
+ * @param {string} code The normalized recovery code.
+ * @param {string} stored One of the stored recovery code hashes, or an unsalted SHA-256 digest from older enrollments.
+ * @returns {Promise<boolean>}
+ */
+async function matchRecoveryCode(code, stored) {
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'hmac-sha256') {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`recovery:${code}`));
+        return toHex(new Uint8Array(digest)) === stored;
+    }
+
+    return timingSafeEqual(await hmacRecoveryCode(code, fromHex(salt)), fromHex(hash));
+}
+
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = base32Encode(crypto.getRandomValues(new Uint8Array(5)));
+        return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+}
+
+export async function getTOTPConfig(env) {
+    try {
+        return await env.kv.get('totp', { type: 'json' });
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting 2FA settings - ${error}`);
+    }
+}
+
+async function saveTOTPConfig(env, config) {
+    try {
+        config ? await env.kv.put('totp', JSON.stringify(config)) : await env.kv.delete('totp');
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while updating 2FA settings - ${error}`);
+    }
+}
+
+/**
+ * Checks a TOTP code, or else a recovery code, against the enrolled 2FA settings.
+ * Accepted TOTP codes cannot be replayed, and recovery codes are used up.
+ * @param {object} env The worker environment.
+ * @param {string} code What the user entered.
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecondFactor(env, code) {
+    const config = await getTOTPConfig(env);
+    if (!config) return false;
+    const step = await matchCode(config.secret, code);
+    if (step !== null) {
+        if (step <= (config.lastStep || 0)) return false;
+        await saveTOTPConfig(env, { ...config, lastStep: step });
+        return true;
+    }
+
+    const recoveryCode = normalizeRecoveryCode(code);
+    if (!recoveryCode) return false;
+    for (const stored of config.recoveryCodes) {
+        if (!await matchRecoveryCode(recoveryCode, stored)) continue;
+        await saveTOTPConfig(env, { ...config, recoveryCodes: config.recoveryCodes.filter(hash => hash !== stored) });
+        return true;
+    }
+
+    return false;
+}
+
+export async function getTOTPStatus(request, env) {
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    const config = await getTOTPConfig(env);
+    return await respond(true, 200, null, {
+        enabled: !!config,
+        recoveryCodesLeft: config?.recoveryCodes.length || 0
+    });
+}
+
+/**
+ * Starts enrollment with a new secret, which only takes effect once a code from it is confirmed.
+ */
+export async function setupTOTP(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    if (await getTOTPConfig(env)) return await respond(false, 400, '2FA is already enabled.');
+
+    const secret = base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+    await env.kv.put('totpPending', secret, { expirationTtl: PENDING_TTL });
+    const label = encodeURIComponent(`BPB Panel:${hostName}`);
+    const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent('BPB Panel')}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+    return await respond(true, 200, null, { secret, uri });
+}
+
+export async function enableTOTP(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+
+    const formData = await request.formData();
+    const secret = await env.kv.get('totpPending');
+    if (!secret) return await respond(false, 400, '2FA setup has expired, please start again.');
+    const step = await matchCode(secret, formData.get('code')?.trim() || '');
+    if (step === null) return await respond(false, 400, 'Wrong code, please check your authenticator app and device time.');
+
+    const recoveryCodes = generateRecoveryCodes();
+    await saveTOTPConfig(env, {
+        secret,
+        lastStep: step,
+        recoveryCodes: await Promise.all(recoveryCodes.map(code => hashRecoveryCode(normalizeRecoveryCode(code)))),
+        enabledAt: Date.now()
+    });
+
+    await env.kv.delete('totpPending');
+    return await respond(true, 200, null, { recoveryCodes });
+}
+
+export async function disableTOTP(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+
+    const formData = await request.formData();
+    const isVerified = await verifySecondFactor(env, formData.get('code')?.trim() || '');
+    if (!isVerified) return await respond(false, 400, 'Wrong code.');
+    await saveTOTPConfig(env, null);
+    return await respond(true, 200, null, { enabled: false });
+}
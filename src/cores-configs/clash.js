@@ -1,4 +1,4 @@
-import { getConfigAddresses, extractWireguardParams, generateRemark, randomUpperCase, getRandomPath, isIPv6, isIPv4, isDomain } from './helpers';
+import { getConfigAddresses, extractWireguardParams, generateRemark, randomUpperCase, getRandomPath, getRandomVLPath, isIPv6, isIPv4, isDomain, buildSubResponse, toYAML } from './helpers';
 import { getDataset } from '../kv/handlers';
 
 async function buildClashDNS(isChain, isWarp) {
@@ -229,10 +229,10 @@ function buildClashRoutingRules(isWarp) {
     return { rules, ruleProviders };
 }
 
-function buildClashVLOutbound(remark, address, port, host, sni, proxyIPs, allowInsecure) {
+function buildClashVLOutbound(remark, address, port, host, sni, proxyIPs, allowInsecure, credential) {
     const tls = defaultHttpsPorts.includes(port) ? true : false;
     const addr = isIPv6(address) ? address.replace(/\[|\]/g, '') : address;
-    const path = `/${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+    const path = `/${getRandomVLPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
     const ipVersion = VLTRenableIPv6 ? "dual" : "ipv4";
 
     const outbound = {
@@ -240,7 +240,7 @@ function buildClashVLOutbound(remark, address, port, host, sni, proxyIPs, allowI
         "type": "vless",
         "server": addr,
         "port": +port,
-        "uuid": userID,
+        "uuid": credential.uuid,
         "packet-encoding": "packetaddr",
         "ip-version": ipVersion,
         "tls": tls,
@@ -267,7 +267,7 @@ function buildClashVLOutbound(remark, address, port, host, sni, proxyIPs, allowI
     return outbound;
 }
 
-function buildClashTROutbound(remark, address, port, host, sni, proxyIPs, allowInsecure) {
+function buildClashTROutbound(remark, address, port, host, sni, proxyIPs, allowInsecure, credential) {
     const addr = isIPv6(address) ? address.replace(/\[|\]/g, '') : address;
     const path = `/tr${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
     const ipVersion = VLTRenableIPv6 ? "dual" : "ipv4";
@@ -277,7 +277,7 @@ function buildClashTROutbound(remark, address, port, host, sni, proxyIPs, allowI
         "type": "trojan",
         "server": addr,
         "port": +port,
-        "password": TRPassword,
+        "password": credential.trPassword,
         "ip-version": ipVersion,
         "tls": true,
         "network": "ws",
@@ -296,6 +296,34 @@ function buildClashTROutbound(remark, address, port, host, sni, proxyIPs, allowI
     };
 }
 
+function buildClashSSOutbound(remark, address, port, host, proxyIPs, allowInsecure, credential) {
+    const tls = defaultHttpsPorts.includes(port) ? true : false;
+    const addr = isIPv6(address) ? address.replace(/\[|\]/g, '') : address;
+    const path = `/ss${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+    const ipVersion = VLTRenableIPv6 ? "dual" : "ipv4";
+
+    return {
+        "name": remark,
+        "type": "ss",
+        "server": addr,
+        "port": +port,
+        "cipher": "aes-256-gcm",
+        "password": credential.trPassword,
+        "ip-version": ipVersion,
+        "tfo": true,
+        "mptcp": true,
+        "plugin": "v2ray-plugin",
+        "plugin-opts": {
+            "mode": "websocket",
+            "tls": tls,
+            "host": host,
+            "path": path,
+            "mux": false,
+            "skip-cert-verify": allowInsecure
+        }
+    };
+}
+
 function buildClashWarpOutbound(warpConfigs, remark, endpoint, chain, isPro) {
     const ipv6Regex = /\[(.*?)\]/;
     const portRegex = /[^:]*$/;
@@ -450,7 +478,7 @@ async function buildClashConfig(selectorTags, urlTestTags, secondUrlTestTags, is
     return config;
 }
 
-export async function getClashWarpConfig(request, env, isPro) {
+export async function getClashWarpConfig(request, env, isPro, userInfo) {
     const { warpConfigs } = await getDataset(request, env);
     const warpTags = [], wowTags = [];
     const outbounds = {
@@ -483,17 +511,10 @@ export async function getClashWarpConfig(request, env, isPro) {
     const config = await buildClashConfig(selectorTags, warpTags, wowTags, true, true, isPro);
     config['proxies'].push(...outbounds.proxies, ...outbounds.chains);
 
-    return new Response(JSON.stringify(config, null, 4), {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store'
-        }
-    });
+    return buildClashResponse(request, config, `BPB Warp${isPro ? ' Pro' : ''}`, userInfo);
 }
 
-export async function getClashNormalConfig(env) {
+export async function getClashNormalConfig(request, env, credential, userInfo) {
     let chainProxy;
     if (outProxy) {
         try {
@@ -514,6 +535,7 @@ export async function getClashNormalConfig(env) {
     const protocols = [];
     VLConfigs && protocols.push('VLESS');
     TRConfigs && protocols.push('Trojan');
+    SSConfigs && protocols.push('Shadowsocks');
     const Addresses = await getConfigAddresses(cleanIPs, VLTRenableIPv6, customCdnAddrs);
     const tags = [];
     const outbounds = {
@@ -540,7 +562,8 @@ export async function getClashNormalConfig(env) {
                         host,
                         sni,
                         proxyIPs,
-                        isCustomAddr
+                        isCustomAddr,
+                        credential
                     );
 
                     outbounds.proxies.push(VLOutbound);
@@ -555,13 +578,29 @@ export async function getClashNormalConfig(env) {
                         host,
                         sni,
                         proxyIPs,
-                        isCustomAddr
+                        isCustomAddr,
+                        credential
                     );
 
                     outbounds.proxies.push(TROutbound);
                     tags.push(tag);
                 }
 
+                if (protocol === 'Shadowsocks') {
+                    const SSOutbound = buildClashSSOutbound(
+                        chainProxy ? `proxy-${proxyIndex}` : tag,
+                        addr,
+                        port,
+                        host,
+                        proxyIPs,
+                        isCustomAddr,
+                        credential
+                    );
+
+                    outbounds.proxies.push(SSOutbound);
+                    tags.push(tag);
+                }
+
 
                 if (chainProxy) {
                     let chain = structuredClone(chainProxy);
@@ -580,14 +619,15 @@ export async function getClashNormalConfig(env) {
     const config = await buildClashConfig(selectorTags, tags, null, chainProxy, false, false);
     config['proxies'].push(...outbounds.chains, ...outbounds.proxies);
 
-    return new Response(JSON.stringify(config, null, 4), {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store'
-        }
-    });
+    return buildClashResponse(request, config, 'BPB Full Normal', userInfo);
+}
+
+// YAML by default, since only Mihomo accepts JSON profiles; ?format=json keeps the old output.
+function buildClashResponse(request, config, title, userInfo) {
+    const isJSON = new URL(request.url).searchParams.get('format') === 'json';
+    return isJSON
+        ? buildSubResponse(JSON.stringify(config, null, 4), title, { extension: 'json', userInfo })
+        : buildSubResponse(toYAML(config), title, { extension: 'yaml', userInfo });
 }
 
 const clashConfigTemp = {
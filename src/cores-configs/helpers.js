@@ -84,6 +84,21 @@ export function getRandomPath (length) {
     return result;
 }
 
+/**
+ * Random WebSocket path for VL configs. The worker routes paths starting with /tr and /ss to Trojan and Shadowsocks,
+ * so VL paths that happen to start with either are drawn again.
+ * @param {number} length The path length.
+ * @returns {string}
+ */
+export function getRandomVLPath(length) {
+    let path;
+    do {
+        path = getRandomPath(length);
+    } while (/^(?:tr|ss)/.test(path));
+
+    return path;
+}
+
 export function base64ToDecimal (base64) {
     const binaryString = atob(base64);
     const hexString = Array.from(binaryString).map(char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
@@ -111,3 +126,68 @@ export function getDomain(url) {
 export function base64EncodeUnicode(str) {
     return btoa(String.fromCharCode(...new TextEncoder().encode(str)));
 }
+
+/**
+ * Wraps a generated subscription with the headers clients read profile metadata from: the name,
+ * update interval, support page, and usage / quota / expiry via Subscription-Userinfo.
+ * @param {string} body The subscription content.
+ * @param {string} title The profile name, e.g. "BPB Normal".
+ * @param {{extension?: string, dns?: string, userInfo?: object | null}} [options] The file extension, which also picks the
+ * Content-Type, the DNS server Hiddify should use, and the subscriber's usage from getSubUserInfo.
+ * @returns {Response}
+ */
+export function buildSubResponse(body, title, { extension = 'txt', dns, userInfo } = {}) {
+    const { upload = 0, download = 0, total = 0, expire = 0 } = userInfo || {};
+    const contentTypes = { json: 'application/json', yaml: 'text/yaml' };
+    const headers = {
+        'Content-Type': `${contentTypes[extension] || 'text/plain'};charset=utf-8`,
+        'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
+        'CDN-Cache-Control': 'no-store',
+        'Profile-Title': `base64:${base64EncodeUnicode(`💦 ${title}`)}`,
+        'Profile-Update-Interval': `${globalThis.subUpdateInterval || 6}`,
+        'Subscription-Userinfo': `upload=${upload}; download=${download}; total=${total}; expire=${expire}`,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(`${title}.${extension}`)}`
+    };
+
+    if (globalThis.subSupportURL) headers['Profile-Web-Page-Url'] = globalThis.subSupportURL;
+    if (dns) headers['DNS'] = dns;
+    return new Response(body, { status: 200, headers });
+}
+
+/**
+ * Serializes plain objects, arrays and scalars as block-style YAML. Strings are only left unquoted
+ * when they cannot be read back as another type, otherwise they are written as JSON strings,
+ * which YAML accepts as double-quoted scalars.
+ * @param {object | any[]} value
+ * @returns {string}
+ */
+export function toYAML(value) {
+    return `${buildYAMLLines(value, '').join('\n')}\n`;
+}
+
+function buildYAMLLines(value, indent) {
+    const isArray = Array.isArray(value);
+    const entries = isArray
+        ? value.map(item => ['-', item])
+        : Object.entries(value).filter(([, item]) => item !== undefined).map(([key, item]) => [`${toYAMLScalar(key)}:`, item]);
+
+    return entries.flatMap(([prefix, item]) => {
+        const isCollection = item !== null && typeof item === 'object';
+        if (!isCollection || !Object.keys(item).length) {
+            const scalar = isCollection ? (Array.isArray(item) ? '[]' : '{}') : toYAMLScalar(item);
+            return [`${indent}${prefix} ${scalar}`];
+        }
+
+        const nested = buildYAMLLines(item, `${indent}  `);
+        return isArray
+            ? [`${indent}- ${nested[0].trimStart()}`, ...nested.slice(1)]
+            : [`${indent}${prefix}`, ...nested];
+    });
+}
+
+function toYAMLScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value !== 'string') return String(value);
+    const isPlain = /^[A-Za-z_][\w./-]*$/.test(value) && !/^(true|false|yes|no|on|off|y|n|null)$/i.test(value);
+    return isPlain ? value : JSON.stringify(value);
+}
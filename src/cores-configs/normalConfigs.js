@@ -1,22 +1,22 @@
-import { getConfigAddresses, generateRemark, randomUpperCase, getRandomPath, base64EncodeUnicode } from './helpers';
+import { getConfigAddresses, generateRemark, randomUpperCase, getRandomPath, getRandomVLPath, buildSubResponse } from './helpers';
 
-export async function getNormalConfigs(isFragment) {
-    let VLConfs = '', TRConfs = '', chainProxy = '';
+export async function getNormalConfigs(isFragment, credential, userInfo) {
+    let VLConfs = '', TRConfs = '', SSConfs = '', chainProxy = '';
     let proxyIndex = 1;
     const Addresses = await getConfigAddresses(cleanIPs, VLTRenableIPv6, customCdnAddrs, isFragment);
 
     const buildConfig = (protocol, addr, port, host, sni, remark) => {
         const isTLS = defaultHttpsPorts.includes(port);
         const security = isTLS ? 'tls' : 'none';
-        const path = `${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+        const path = `${getRandomVLPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
         const config = new URL(`${protocol}://config`);
         let pathPrefix = '';
 
         if (protocol === 'vless') {
-            config.username = userID;
+            config.username = credential.uuid;
             config.searchParams.append('encryption', 'none');
         } else {
-            config.username = TRPassword;
+            config.username = credential.trPassword;
             pathPrefix = 'tr';
         }
 
@@ -48,6 +48,21 @@ export async function getNormalConfigs(isFragment) {
         return config.href;
     }
 
+    const buildSSConfig = (addr, port, host, remark) => {
+        const path = `/ss${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+        const pluginOpts = [
+            'v2ray-plugin',
+            'mode=websocket',
+            defaultHttpsPorts.includes(port) && 'tls',
+            `host=${host}`,
+            `path=${path}`,
+            'mux=0'
+        ].filter(Boolean);
+
+        const userInfo = btoa(`aes-256-gcm:${credential.trPassword}`).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `ss://${userInfo}@${addr}:${port}?plugin=${encodeURIComponent(pluginOpts.join(';'))}#${encodeURIComponent(remark)}`;
+    }
+
     ports.forEach(port => {
         Addresses.forEach(addr => {
             const isCustomAddr = customCdnAddrs.includes(addr) && !isFragment;
@@ -57,6 +72,7 @@ export async function getNormalConfigs(isFragment) {
 
             const VLRemark = generateRemark(proxyIndex, port, addr, cleanIPs, 'VLESS', configType);
             const TRRemark = generateRemark(proxyIndex, port, addr, cleanIPs, 'Trojan', configType);
+            const SSRemark = generateRemark(proxyIndex, port, addr, cleanIPs, 'Shadowsocks', configType);
 
             if (VLConfigs) {
                 const vlessConfig = buildConfig('vless', addr, port, host, sni, VLRemark);
@@ -68,6 +84,11 @@ export async function getNormalConfigs(isFragment) {
                 TRConfs += `${trojanConfig}\n`;
             }
 
+            if (SSConfigs) {
+                const shadowsocksConfig = buildSSConfig(addr, port, host, SSRemark);
+                SSConfs += `${shadowsocksConfig}\n`;
+            }
+
             proxyIndex++;
         });
     });
@@ -86,22 +107,11 @@ export async function getNormalConfigs(isFragment) {
         }
     }
 
-    const configs = btoa(VLConfs + TRConfs + chainProxy);
-    const hiddifyHash = base64EncodeUnicode('💦 BPB Normal');
-    
-    return new Response(configs, {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store',
-            'Profile-Title': `base64:${hiddifyHash}`,
-            'DNS': remoteDNS
-        }
-    });
+    const configs = btoa(VLConfs + TRConfs + SSConfs + chainProxy);
+    return buildSubResponse(configs, `BPB ${isFragment ? 'Fragment' : 'Normal'}`, { dns: remoteDNS, userInfo });
 }
 
-export async function getHiddifyWarpConfigs(isPro) {
+export async function getHiddifyWarpConfigs(isPro, userInfo) {
     let configs = '';
     warpEndpoints.forEach((endpoint, index) => {
         const config = new URL('warp://config');
@@ -122,15 +132,5 @@ export async function getHiddifyWarpConfigs(isPro) {
         configs += `${config.href}&&detour=${detour.href}\n`;
     });
 
-    const hiddifyHash = base64EncodeUnicode(`💦 BPB Warp${isPro ? ' Pro' : ''}`);
-    return new Response(btoa(configs), {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store',
-            'Profile-Title': `base64:${hiddifyHash}`,
-            'DNS': '1.1.1.1'
-        }
-    });
+    return buildSubResponse(btoa(configs), `BPB Warp${isPro ? ' Pro' : ''}`, { dns: '1.1.1.1', userInfo });
 }
\ No newline at end of file
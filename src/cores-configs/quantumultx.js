@@ -0,0 +1,118 @@
+import { getConfigAddresses, generateRemark, randomUpperCase, getRandomPath, getRandomVLPath, isDomain, isIPv4, isIPv6, buildSubResponse } from './helpers';
+
+const RULE_LIST_URL = 'https://raw.githubusercontent.com/blackmatrix7/ios_rule_script/master/rule/QuantumultX';
+const PRIVATE_CIDRS = ['10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16'];
+const COUNTRY_RULES = [
+    { rule: 'bypassIran', geoip: 'IR', domains: ['ir'] },
+    { rule: 'bypassChina', geoip: 'CN', domains: ['cn'] },
+    { rule: 'bypassRussia', geoip: 'RU', domains: ['ru', 'su', 'xn--p1ai'] }
+];
+
+function buildQuantumultXRules() {
+    const generateRule = (address, action) => {
+        if (isDomain(address)) return `host-suffix, ${address}, ${action}`;
+        const type = isIPv4(address) ? 'ip-cidr' : 'ip6-cidr';
+        const ip = isIPv6(address) ? address.replace(/\[|\]/g, '') : address;
+        const cidr = address.includes('/') ? '' : isIPv4(address) ? '/32' : '/128';
+        return `${type}, ${ip}${cidr}, ${action}`;
+    };
+
+    const filterRemote = (path, tag, policy) => `${RULE_LIST_URL}/${path}, tag=${tag}, force-policy=${policy}, update-interval=86400, opt-parser=false, enabled=true`;
+    const remoteRules = [
+        blockAds && filterRemote('Advertising/Advertising.list', 'Ads', 'reject'),
+        blockPorn && filterRemote('Porn/Porn.list', 'Porn', 'reject'),
+        bypassOpenAi && filterRemote('OpenAI/OpenAI.list', 'OpenAI', 'direct')
+    ].filter(Boolean);
+
+    const localRules = [
+        ...customBlockRules.map(address => generateRule(address, 'reject')),
+        ...(bypassLAN ? PRIVATE_CIDRS.map(cidr => `ip-cidr, ${cidr}, direct`) : []),
+        ...COUNTRY_RULES.filter(({ rule }) => globalThis[rule]).flatMap(({ geoip, domains }) => [
+            ...domains.map(domain => `host-suffix, ${domain}, direct`),
+            `geoip, ${geoip}, direct`
+        ]),
+        ...customBypassRules.map(address => generateRule(address, 'direct')),
+        'final, ✅ Selector'
+    ];
+
+    return { remoteRules, localRules };
+}
+
+function buildQuantumultXServer(protocol, remark, address, port, host, allowInsecure, credential) {
+    const isTLS = defaultHttpsPorts.includes(port);
+    const pathPrefix = { vless: '', trojan: 'tr', shadowsocks: 'ss' }[protocol];
+    const randomPath = protocol === 'vless' ? getRandomVLPath(16) : getRandomPath(16);
+    const path = `/${pathPrefix}${randomPath}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+    const credentials = {
+        vless: `method=none, password=${credential.uuid}`,
+        trojan: `password=${credential.trPassword}`,
+        shadowsocks: `method=aes-256-gcm, password=${credential.trPassword}`
+    }[protocol];
+
+    return [
+        `${protocol}=${address}:${port}`,
+        credentials,
+        `obfs=${isTLS ? 'wss' : 'ws'}`,
+        `obfs-host=${host}`,
+        `obfs-uri=${path}`,
+        isTLS && `tls-verification=${!allowInsecure}`,
+        'fast-open=false',
+        'udp-relay=false',
+        `tag=${remark}`
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Builds a complete Quantumult X configuration, to be used as its configuration download URL.
+ * QX sends the Host header as SNI over wss, so custom CDN configs use the CDN host for both.
+ * @param {{uuid: string, trPassword: string}} credential The credential the configs connect with.
+ */
+export async function getQuantumultXConfig(credential, userInfo) {
+    const protocols = [];
+    VLConfigs && protocols.push('VLESS');
+    TRConfigs && protocols.push('Trojan');
+    SSConfigs && protocols.push('Shadowsocks');
+    const Addresses = await getConfigAddresses(cleanIPs, VLTRenableIPv6, customCdnAddrs);
+    const tags = [], servers = [];
+
+    protocols.forEach(protocol => {
+        let protocolIndex = 1;
+        ports.forEach(port => {
+            Addresses.forEach(addr => {
+                if (protocol === 'Trojan' && !defaultHttpsPorts.includes(port)) return;
+                const isCustomAddr = customCdnAddrs.includes(addr);
+                const host = isCustomAddr ? customCdnHost : randomUpperCase(hostName);
+                const tag = generateRemark(protocolIndex, port, addr, cleanIPs, protocol, isCustomAddr ? 'C' : '').replace(' : ', ' - ');
+                servers.push(buildQuantumultXServer(protocol.toLowerCase(), tag, addr, port, host, isCustomAddr, credential));
+                tags.push(tag);
+                protocolIndex++;
+            });
+        });
+    });
+
+    const { remoteRules, localRules } = buildQuantumultXRules();
+    const config = [
+        '[general]',
+        'server_check_url = http://www.gstatic.com/generate_204',
+        blockUDP443 && 'udp_drop_list = 443',
+        '',
+        '[dns]',
+        !VLTRenableIPv6 && 'no-ipv6',
+        localDNS !== 'localhost' && `server = ${localDNS}`,
+        '',
+        '[policy]',
+        `static = ✅ Selector, 💦 Best Ping 💥, ${tags.join(', ')}`,
+        `url-latency-benchmark = 💦 Best Ping 💥, ${tags.join(', ')}, check-interval=${bestVLTRInterval}, tolerance=50, alive-checking=false`,
+        '',
+        '[server_local]',
+        ...servers,
+        '',
+        '[filter_remote]',
+        ...remoteRules,
+        '',
+        '[filter_local]',
+        ...localRules
+    ].filter(line => line !== false);
+
+    return buildSubResponse(config.join('\n'), 'BPB Full Normal', { extension: 'conf', userInfo });
+}
@@ -1,4 +1,4 @@
-import { getConfigAddresses, extractWireguardParams, generateRemark, randomUpperCase, getRandomPath, isIPv6, isDomain, base64ToDecimal } from './helpers';
+import { getConfigAddresses, extractWireguardParams, generateRemark, randomUpperCase, getRandomPath, getRandomVLPath, isIPv6, isDomain, base64ToDecimal, buildSubResponse } from './helpers';
 import { getDataset } from '../kv/handlers';
 
 async function buildSingBoxDNS(isWarp) {
@@ -374,8 +374,8 @@ function buildSingBoxRoutingRules(isWarp) {
     }
 }
 
-function buildSingBoxVLOutbound(remark, address, port, host, sni, allowInsecure) {
-    const path = `/${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+function buildSingBoxVLOutbound(remark, address, port, host, sni, allowInsecure, credential) {
+    const path = `/${getRandomVLPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
     const tls = defaultHttpsPorts.includes(port) ? true : false;
 
     const outbound = {
@@ -383,7 +383,7 @@ function buildSingBoxVLOutbound(remark, address, port, host, sni, allowInsecure)
         type: "vless",
         server: address,
         server_port: +port,
-        uuid: userID,
+        uuid: credential.uuid,
         packet_encoding: "",
         transport: {
             early_data_header_name: "Sec-WebSocket-Protocol",
@@ -417,14 +417,14 @@ function buildSingBoxVLOutbound(remark, address, port, host, sni, allowInsecure)
     return outbound;
 }
 
-function buildSingBoxTROutbound(remark, address, port, host, sni, allowInsecure) {
+function buildSingBoxTROutbound(remark, address, port, host, sni, allowInsecure, credential) {
     const path = `/tr${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
     const tls = defaultHttpsPorts.includes(port) ? true : false;
 
     const outbound = {
         tag: remark,
         type: "trojan",
-        password: TRPassword,
+        password: credential.trPassword,
         server: address,
         server_port: +port,
         transport: {
@@ -459,6 +459,36 @@ function buildSingBoxTROutbound(remark, address, port, host, sni, allowInsecure)
     return outbound;
 }
 
+function buildSingBoxSSOutbound(remark, address, port, host, credential) {
+    const path = `/ss${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+    const tls = defaultHttpsPorts.includes(port) ? true : false;
+    const pluginOpts = [
+        'mode=websocket',
+        tls && 'tls',
+        `host=${host}`,
+        `path=${path}`,
+        'mux=0'
+    ].filter(Boolean);
+
+    return {
+        tag: remark,
+        type: "shadowsocks",
+        server: address,
+        server_port: +port,
+        method: "aes-256-gcm",
+        password: credential.trPassword,
+        plugin: "v2ray-plugin",
+        plugin_opts: pluginOpts.join(';'),
+        domain_resolver: {
+            server: "dns-direct",
+            strategy: VLTRenableIPv6 ? "prefer_ipv4" : "ipv4_only",
+            rewrite_ttl: 60
+        },
+        tcp_fast_open: true,
+        tcp_multi_path: true
+    };
+}
+
 function buildSingBoxWarpOutbound(warpConfigs, remark, endpoint, chain) {
     const ipv6Regex = /\[(.*?)\]/;
     const portRegex = /[^:]*$/;
@@ -635,7 +665,7 @@ async function buildSingBoxConfig(selectorTags, urlTestTags, secondUrlTestTags,
     return config;
 }
 
-export async function getSingBoxWarpConfig(request, env) {
+export async function getSingBoxWarpConfig(request, env, userInfo) {
     const { warpConfigs } = await getDataset(request, env);
     const warpTags = [], wowTags = [];
     const endpoints = {
@@ -661,17 +691,10 @@ export async function getSingBoxWarpConfig(request, env) {
     const config = await buildSingBoxConfig(selectorTags, warpTags, wowTags, true);
     config.endpoints = [...endpoints.chains, ...endpoints.proxies];
 
-    return new Response(JSON.stringify(config, null, 4), {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store'
-        }
-    });
+    return buildSubResponse(JSON.stringify(config, null, 4), 'BPB Warp', { extension: 'json', userInfo });
 }
 
-export async function getSingBoxCustomConfig(env) {
+export async function getSingBoxCustomConfig(env, credential, userInfo) {
     let chainProxy;
     if (outProxy) {
         try {
@@ -692,6 +715,7 @@ export async function getSingBoxCustomConfig(env) {
     const protocols = [];
     VLConfigs && protocols.push('VLESS');
     TRConfigs && protocols.push('Trojan');
+    SSConfigs && protocols.push('Shadowsocks');
     const tags = [];
     const Addresses = await getConfigAddresses(cleanIPs, VLTRenableIPv6, customCdnAddrs);
     const outbounds = {
@@ -717,7 +741,8 @@ export async function getSingBoxCustomConfig(env) {
                         port,
                         host,
                         sni,
-                        isCustomAddr
+                        isCustomAddr,
+                        credential
                     );
 
                     outbounds.proxies.push(VLOutbound);
@@ -730,12 +755,25 @@ export async function getSingBoxCustomConfig(env) {
                         port,
                         host,
                         sni,
-                        isCustomAddr
+                        isCustomAddr,
+                        credential
                     );
 
                     outbounds.proxies.push(TROutbound);
                 }
 
+                if (protocol === "Shadowsocks") {
+                    const SSOutbound = buildSingBoxSSOutbound(
+                        chainProxy ? `proxy-${proxyIndex}` : tag,
+                        addr,
+                        port,
+                        host,
+                        credential
+                    );
+
+                    outbounds.proxies.push(SSOutbound);
+                }
+
                 if (chainProxy) {
                     const chain = structuredClone(chainProxy);
                     chain.tag = tag;
@@ -755,14 +793,7 @@ export async function getSingBoxCustomConfig(env) {
     const config = await buildSingBoxConfig(selectorTags, tags, null, false);
     config.outbounds.push(...outbounds.chains, ...outbounds.proxies);
 
-    return new Response(JSON.stringify(config, null, 4), {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store'
-        }
-    });
+    return buildSubResponse(JSON.stringify(config, null, 4), 'BPB Full Normal', { extension: 'json', userInfo });
 }
 
 const singboxConfigTemp = {
@@ -0,0 +1,97 @@
+import { getConfigAddresses, generateRemark, randomUpperCase, getRandomPath, isDomain, isIPv4, isIPv6, buildSubResponse } from './helpers';
+
+const RULE_LIST_URL = 'https://raw.githubusercontent.com/blackmatrix7/ios_rule_script/master/rule/Surge';
+const PRIVATE_CIDRS = ['10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16'];
+const COUNTRY_RULES = [
+    { rule: 'bypassIran', geoip: 'IR', domains: ['ir'] },
+    { rule: 'bypassChina', geoip: 'CN', domains: ['cn'] },
+    { rule: 'bypassRussia', geoip: 'RU', domains: ['ru', 'su', 'xn--p1ai'] }
+];
+
+function buildSurgeRoutingRules() {
+    const generateRule = (address, action) => {
+        if (isDomain(address)) return `DOMAIN-SUFFIX,${address},${action}`;
+        const type = isIPv4(address) ? 'IP-CIDR' : 'IP-CIDR6';
+        const ip = isIPv6(address) ? address.replace(/\[|\]/g, '') : address;
+        const cidr = address.includes('/') ? '' : isIPv4(address) ? '/32' : '/128';
+        return `${type},${ip}${cidr},${action},no-resolve`;
+    };
+
+    const blockRules = [
+        blockAds && `RULE-SET,${RULE_LIST_URL}/Advertising/Advertising.list,REJECT`,
+        blockPorn && `RULE-SET,${RULE_LIST_URL}/Porn/Porn.list,REJECT`,
+        ...customBlockRules.map(address => generateRule(address, 'REJECT'))
+    ];
+
+    const directRules = [
+        ...(bypassLAN ? PRIVATE_CIDRS.map(cidr => `IP-CIDR,${cidr},DIRECT,no-resolve`) : []),
+        ...COUNTRY_RULES.filter(({ rule }) => globalThis[rule]).flatMap(({ geoip, domains }) => [
+            ...domains.map(domain => `DOMAIN-SUFFIX,${domain},DIRECT`),
+            `GEOIP,${geoip},DIRECT`
+        ]),
+        bypassOpenAi && `RULE-SET,${RULE_LIST_URL}/OpenAI/OpenAI.list,DIRECT`,
+        ...customBypassRules.map(address => generateRule(address, 'DIRECT'))
+    ];
+
+    // the worker only relays UDP for DNS, like in the Clash configs
+    return ['PROTOCOL,UDP,REJECT', ...blockRules, ...directRules, 'FINAL,✅ Selector'].filter(Boolean);
+}
+
+function buildSurgeTRProxy(remark, address, port, host, sni, proxyIPs, allowInsecure, credential) {
+    const addr = isIPv6(address) ? address.replace(/\[|\]/g, '') : address;
+    const path = `/tr${getRandomPath(16)}${proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : ''}`;
+    return `${remark} = trojan, ${addr}, ${port}, password=${credential.trPassword}, sni=${sni}, skip-cert-verify=${allowInsecure}, ws=true, ws-path=${path}, ws-headers=Host:"${host}", tfo=true`;
+}
+
+/**
+ * Builds a Surge managed profile. Surge has no VLESS and no v2ray-plugin for Shadowsocks,
+ * so only the Trojan configs on TLS ports are included.
+ * @param {Request} request The subscription request, linked back to so Surge can update the profile.
+ * @param {{uuid: string, trPassword: string}} credential The credential the configs connect with.
+ */
+export async function getSurgeConfig(request, credential, userInfo) {
+    if (!TRConfigs) return new Response('Surge only supports the Trojan protocol. Please enable Trojan configs in the panel.', {
+        status: 400,
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' }
+    });
+
+    const Addresses = await getConfigAddresses(cleanIPs, VLTRenableIPv6, customCdnAddrs);
+    const tags = [], proxies = [];
+    let proxyIndex = 1;
+    ports.filter(port => defaultHttpsPorts.includes(port)).forEach(port => {
+        Addresses.forEach(addr => {
+            const isCustomAddr = customCdnAddrs.includes(addr);
+            const sni = isCustomAddr ? customCdnSni : randomUpperCase(hostName);
+            const host = isCustomAddr ? customCdnHost : hostName;
+            const tag = generateRemark(proxyIndex, port, addr, cleanIPs, 'Trojan', isCustomAddr ? 'C' : '').replace(' : ', ' - ');
+            proxies.push(buildSurgeTRProxy(tag, addr, port, host, sni, proxyIPs, isCustomAddr, credential));
+            tags.push(tag);
+            proxyIndex++;
+        });
+    });
+
+    const testURL = 'http://www.gstatic.com/generate_204';
+    const config = [
+        `#!MANAGED-CONFIG ${request.url} interval=${(globalThis.subUpdateInterval || 6) * 3600} strict=false`,
+        '',
+        '[General]',
+        'loglevel = notify',
+        `dns-server = ${localDNS === 'localhost' ? 'system' : localDNS}`,
+        `ipv6 = ${VLTRenableIPv6}`,
+        `internet-test-url = ${testURL}`,
+        `proxy-test-url = ${testURL}`,
+        bypassLAN && 'skip-proxy = localhost, *.local, 127.0.0.0/8, 10.0.0.0/8, 172.16.0.0/12, 192.168.0.0/16, 100.64.0.0/10',
+        '',
+        '[Proxy]',
+        ...proxies,
+        '',
+        '[Proxy Group]',
+        `✅ Selector = select, 💦 Best Ping 💥, ${tags.join(', ')}`,
+        `💦 Best Ping 💥 = url-test, ${tags.join(', ')}, url=${testURL}, interval=${bestVLTRInterval}, tolerance=50`,
+        '',
+        '[Rule]',
+        ...buildSurgeRoutingRules()
+    ].filter(line => line !== false);
+
+    return buildSubResponse(config.join('\n'), 'BPB Full Normal', { extension: 'conf', userInfo });
+}
@@ -1,4 +1,4 @@
-import { getConfigAddresses, extractWireguardParams, base64ToDecimal, generateRemark, randomUpperCase, getRandomPath, resolveDNS, isDomain } from './helpers';
+import { getConfigAddresses, extractWireguardParams, base64ToDecimal, generateRemark, randomUpperCase, getRandomPath, getRandomVLPath, resolveDNS, isDomain, buildSubResponse } from './helpers';
 import { getDataset } from '../kv/handlers';
 
 async function buildXrayDNS(outboundAddrs, domainToStaticIPs, isWorkerLess, isWarp) {
@@ -250,9 +250,9 @@ function buildXrayRoutingRules(outboundAddrs, isChain, isBalancer, isWorkerLess,
     return rules;
 }
 
-function buildXrayVLOutbound(tag, address, port, host, sni, proxyIPs, isFragment, allowInsecure) {
+function buildXrayVLOutbound(tag, address, port, host, sni, proxyIPs, isFragment, allowInsecure, credential) {
     const proxyIpPath = proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : '';
-    const path = `/${getRandomPath(16)}${proxyIpPath}?ed=2560`;
+    const path = `/${getRandomVLPath(16)}${proxyIpPath}?ed=2560`;
     const outbound = {
         protocol: 'vless',
         settings: {
@@ -262,7 +262,7 @@ function buildXrayVLOutbound(tag, address, port, host, sni, proxyIPs, isFragment
                     port: +port,
                     users: [
                         {
-                            id: userID,
+                            id: credential.uuid,
                             encryption: "none",
                             level: 8
                         }
@@ -302,7 +302,7 @@ function buildXrayVLOutbound(tag, address, port, host, sni, proxyIPs, isFragment
     return outbound;
 }
 
-function buildXrayTROutbound(tag, address, port, host, sni, proxyIPs, isFragment, allowInsecure) {
+function buildXrayTROutbound(tag, address, port, host, sni, proxyIPs, isFragment, allowInsecure, credential) {
     const proxyIpPath = proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : '';
     const path = `/tr${getRandomPath(16)}${proxyIpPath}?ed=2560`;
     const outbound = {
@@ -312,7 +312,55 @@ function buildXrayTROutbound(tag, address, port, host, sni, proxyIPs, isFragment
                 {
                     address: address,
                     port: +port,
-                    password: TRPassword,
+                    password: credential.trPassword,
+                    level: 8
+                }
+            ]
+        },
+        streamSettings: {
+            network: "ws",
+            security: "none",
+            sockopt: {},
+            wsSettings: {
+                host: host,
+                path: path
+            }
+        },
+        tag: tag
+    };
+
+    if (defaultHttpsPorts.includes(port)) {
+        outbound.streamSettings.security = "tls";
+        outbound.streamSettings.tlsSettings = {
+            allowInsecure: allowInsecure,
+            fingerprint: "randomized",
+            alpn: ["http/1.1"],
+            serverName: sni
+        };
+    }
+
+    const sockopt = outbound.streamSettings.sockopt;
+    if (isFragment) {
+        sockopt.dialerProxy = "fragment";
+    } else {
+        sockopt.domainStrategy = VLTRenableIPv6 ? "UseIPv4v6" : "UseIPv4";
+    }
+
+    return outbound;
+}
+
+function buildXraySSOutbound(tag, address, port, host, sni, proxyIPs, isFragment, allowInsecure, credential) {
+    const proxyIpPath = proxyIPs.length ? `/${btoa(proxyIPs.join(','))}` : '';
+    const path = `/ss${getRandomPath(16)}${proxyIpPath}?ed=2560`;
+    const outbound = {
+        protocol: "shadowsocks",
+        settings: {
+            servers: [
+                {
+                    address: address,
+                    port: +port,
+                    method: "aes-256-gcm",
+                    password: credential.trPassword,
                     level: 8
                 }
             ]
@@ -688,7 +736,7 @@ async function buildXrayWorkerLessConfig() {
     return config;
 }
 
-export async function getXrayCustomConfigs(env, isFragment) {
+export async function getXrayCustomConfigs(env, isFragment, credential, userInfo) {
     let chainProxy;
     if (outProxy) {
         try {
@@ -711,6 +759,7 @@ export async function getXrayCustomConfigs(env, isFragment) {
     let protocols = [];
     VLConfigs && protocols.push('VLESS');
     TRConfigs && protocols.push('Trojan');
+    SSConfigs && protocols.push('Shadowsocks');
 
     let proxyIndex = 1;
     let configs = [];
@@ -731,8 +780,10 @@ export async function getXrayCustomConfigs(env, isFragment) {
                 const customConfig = await buildXrayConfig(remark, false, chainProxy, false, false, isFragment, false, [addr], null);
 
                 const outbound = protocol === 'VLESS'
-                    ? buildXrayVLOutbound('proxy', addr, port, host, sni, proxyIPs, isFragment, isCustomAddr)
-                    : buildXrayTROutbound('proxy', addr, port, host, sni, proxyIPs, isFragment, isCustomAddr);
+                    ? buildXrayVLOutbound('proxy', addr, port, host, sni, proxyIPs, isFragment, isCustomAddr, credential)
+                    : protocol === 'Trojan'
+                        ? buildXrayTROutbound('proxy', addr, port, host, sni, proxyIPs, isFragment, isCustomAddr, credential)
+                        : buildXraySSOutbound('proxy', addr, port, host, sni, proxyIPs, isFragment, isCustomAddr, credential);
 
                 customConfig.outbounds.unshift({ ...outbound });
                 outbounds.proxies.push(outbound);
@@ -766,17 +817,10 @@ export async function getXrayCustomConfigs(env, isFragment) {
         finalConfigs.push(bestFragment, workerLessConfig);
     }
 
-    return new Response(JSON.stringify(finalConfigs, null, 4), {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store'
-        }
-    });
+    return buildSubResponse(JSON.stringify(finalConfigs, null, 4), isFragment ? 'BPB Fragment' : 'BPB Full Normal', { extension: 'json', userInfo });
 }
 
-export async function getXrayWarpConfigs(request, env, isPro) {
+export async function getXrayWarpConfigs(request, env, isPro, userInfo) {
     const { warpConfigs } = await getDataset(request, env);
     const proIndicator = isPro ? ' Pro ' : ' ';
     const xrayWarpConfigs = [];
@@ -822,14 +866,7 @@ export async function getXrayWarpConfigs(request, env, isPro) {
 
     const configs = [...xrayWarpConfigs, ...xrayWoWConfigs, xrayWarpBestPing, xrayWoWBestPing];
 
-    return new Response(JSON.stringify(configs, null, 4), {
-        status: 200,
-        headers: {
-            'Content-Type': 'text/plain;charset=utf-8',
-            'Cache-Control': 'no-store, no-cache, must-revalidate, proxy-revalidate',
-            'CDN-Cache-Control': 'no-store'
-        }
-    });
+    return buildSubResponse(JSON.stringify(configs, null, 4), `BPB Warp${isPro ? ' Pro' : ''}`, { extension: 'json', userInfo });
 }
 
 const xrayConfigTemp = {
@@ -0,0 +1,43 @@
+// Checked in order: Hiddify advertises "ClashMeta" and "sing-box" in its User-Agent too.
+const CLIENT_PATTERNS = [
+    ['hiddify', /hiddify/i],
+    ['shadowrocket', /shadowrocket/i],
+    ['surge', /surge/i],
+    ['quantumultx', /quantumult/i],
+    ['clash', /clash|mihomo|stash/i],
+    ['singbox', /sing-?box|^sf[aimt]\//i],
+    ['xray', /v2rayn|nikang|mahsang|streisand|xray/i]
+];
+
+// The app parameter each client family gets per subscription type, matching the panel's links.
+const SUB_CLIENTS = {
+    'normal': { clash: '', singbox: 'singbox', xray: '', hiddify: '', shadowrocket: '' },
+    'full-normal': { clash: 'clash', singbox: 'sfa', xray: 'xray', hiddify: 'hiddify', shadowrocket: 'shadowrocket', surge: 'surge', quantumultx: 'quantumultx' },
+    'fragment': { hiddify: 'hiddify-frag', xray: '' },
+    'warp': { clash: 'clash', singbox: 'singbox', hiddify: 'hiddify', xray: 'xray' },
+    'warp-pro': { clash: 'clash-pro', hiddify: 'hiddify-pro', xray: 'xray-pro' }
+};
+
+/**
+ * Works out which app is asking for a subscription from its User-Agent, so one link without
+ * an app parameter serves every client its own format.
+ * @param {Request} request The subscription request.
+ * @param {string} subType The requested subscription type, e.g. "full-normal".
+ * @returns {{family: string | null, app: string | null}} The detected client family, and the app
+ * parameter to use, which is null if the client is unknown or has no format for this subscription type.
+ */
+export function detectSubClient(request, subType) {
+    const userAgent = request.headers.get('User-Agent') || '';
+    const [family = null] = CLIENT_PATTERNS.find(([, pattern]) => pattern.test(userAgent)) || [];
+    return { family, app: SUB_CLIENTS[subType]?.[family] ?? null };
+}
+
+/**
+ * Lists the app parameters a subscription type accepts, for telling unknown clients what to use.
+ * An empty string stands for the link without an app parameter.
+ * @param {string} subType
+ * @returns {string[]}
+ */
+export function getSubClients(subType) {
+    return [...new Set(Object.values(SUB_CLIENTS[subType] || {}))];
+}
@@ -1,12 +1,24 @@
-import { Authenticate, generateJWTToken, resetPassword } from "../authentication/auth";
+import { Authenticate, generateJWTToken, resetPassword, verifyTwoFactor, getSessionsList, logoutAllSessions, getCSRFToken, verifyCSRF, rejectCSRF } from "../authentication/auth";
+import { getTOTPStatus, setupTOTP, enableTOTP, disableTOTP } from "../authentication/totp";
 import { getClashNormalConfig, getClashWarpConfig } from "../cores-configs/clash";
 import { extractWireguardParams } from "../cores-configs/helpers";
 import { getHiddifyWarpConfigs, getNormalConfigs } from "../cores-configs/normalConfigs";
 import { getSingBoxCustomConfig, getSingBoxWarpConfig } from "../cores-configs/sing-box";
 import { getXrayCustomConfigs, getXrayWarpConfigs } from "../cores-configs/xray";
+import { getSurgeConfig } from "../cores-configs/surge";
+import { getQuantumultXConfig } from "../cores-configs/quantumultx";
 import { getDataset, updateDataset } from "../kv/handlers";
 import JSZip from "jszip";
 import { fetchWarpConfigs } from "../protocols/warp";
+import { getUsersList, addUser, updateUser, deleteUser, findUserBySubPath } from "../users/users";
+import { getUsage } from "../users/traffic";
+import { detectSubClient, getSubClients } from "./clients";
+import { getSubTokensList, addSubToken, revokeSubToken, findSubToken, recordSubTokenUse } from "../users/tokens";
+import { getProxyIPHealth, getProxyIPStatus } from "../protocols/proxyip";
+import { getDoHPath, getDoHStats, queryDoH } from "../protocols/doh";
+import { getRelayStats } from "../protocols/relaystats";
+import { getFailedLogins } from "../authentication/lockout";
+import { getPasswordPolicy } from "../authentication/password";
 
 export function isValidUUID(uuid) {
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[4][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -14,6 +26,7 @@ export function isValidUUID(uuid) {
 }
 
 export async function handlePanel(request, env) {
+    if (request.method === 'POST' && !await verifyCSRF(request, env)) return rejectCSRF();
 
     switch (pathName) {
         case '/panel':
@@ -40,11 +53,100 @@ export async function handlePanel(request, env) {
         case '/panel/get-warp-configs':
             return await getWarpConfigs(request, env);
 
+        case '/panel/get-users':
+            return await getUsersList(request, env);
+
+        case '/panel/add-user':
+            return await addUser(request, env);
+
+        case '/panel/update-user':
+            return await updateUser(request, env);
+
+        case '/panel/delete-user':
+            return await deleteUser(request, env);
+
+        case '/panel/sub-tokens':
+            return await getSubTokensList(request, env);
+
+        case '/panel/add-sub-token':
+            return await addSubToken(request, env);
+
+        case '/panel/revoke-sub-token':
+            return await revokeSubToken(request, env);
+
+        case '/panel/proxy-ips':
+            return await getProxyIPPool(request, env);
+
+        case '/panel/doh-upstreams':
+            return await getDoHUpstreams(request, env);
+
+        case '/panel/relay-stats':
+            return await getRelayStatsSummary(request, env);
+
+        case '/panel/failed-logins':
+            return await getFailedLoginsList(request, env);
+
+        case '/panel/sessions':
+            return await getSessionsList(request, env);
+
+        case '/panel/logout-all':
+            return await logoutAllSessions(request, env);
+
+        case '/panel/2fa':
+            return await getTOTPStatus(request, env);
+
+        case '/panel/2fa/setup':
+            return await setupTOTP(request, env);
+
+        case '/panel/2fa/enable':
+            return await enableTOTP(request, env);
+
+        case '/panel/2fa/disable':
+            return await disableTOTP(request, env);
+
         default:
             return await fallback(request);
     }
 }
 
+/**
+ * Serves RFC 8484 DNS queries, as GET with a base64url "dns" parameter or as a POST body,
+ * through the same upstreams, cache and filtering as the proxied DNS traffic.
+ * Requests without the right path secret get the fallback site.
+ */
+export async function handleDoH(request, env) {
+    if (pathName !== await getDoHPath(env)) return await fallback(request);
+    let dnsQuery;
+    if (request.method === 'GET') {
+        const encodedQuery = new URL(request.url).searchParams.get('dns');
+        if (!encodedQuery) return new Response('Missing dns parameter', { status: 400 });
+        try {
+            dnsQuery = Uint8Array.from(atob(encodedQuery.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+        } catch (error) {
+            return new Response('Invalid dns parameter', { status: 400 });
+        }
+    } else if (request.method === 'POST') {
+        if (request.headers.get('content-type') !== 'application/dns-message') return new Response('Unsupported Media Type', { status: 415 });
+        dnsQuery = await request.arrayBuffer();
+    } else {
+        return new Response('Method Not Allowed', { status: 405, headers: { 'Allow': 'GET, POST' } });
+    }
+
+    try {
+        const dnsResponse = await queryDoH(env, dnsQuery);
+        return new Response(dnsResponse, {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/dns-message',
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        console.log(error);
+        return new Response(error.message, { status: 502 });
+    }
+}
+
 export async function handleError(error) {
     const message = encodeURIComponent(error.message);
     return Response.redirect(`${urlOrigin}/error?message=${message}`, 302);
@@ -53,6 +155,7 @@ export async function handleError(error) {
 export async function handleLogin(request, env) {
     if (pathName === '/login') return await renderLogin(request, env);
     if (pathName === '/login/authenticate') return await generateJWTToken(request, env);
+    if (pathName === '/login/verify-2fa') return await verifyTwoFactor(request, env);
     return await fallback(request);
 }
 
@@ -62,35 +165,101 @@ export async function handleSubscriptions(request, env) {
         globalThis[Key] = Value;
     })
 
-    switch (decodeURIComponent(pathName)) {
-        case `/sub/normal/${subPath}`:
-            return await getNormalConfigs(false);
-
-        case `/sub/full-normal/${subPath}`:
-            if (client === 'sfa') return await getSingBoxCustomConfig(env);
-            if (client === 'clash') return await getClashNormalConfig(env);
-            if (client === 'xray') return await getXrayCustomConfigs(env, false);
+    // the pathName global may already belong to another request by now
+    const [, , subType, ...pathParts] = decodeURIComponent(new URL(request.url).pathname).split('/');
+    const requestedPath = pathParts.join('/');
+    let user = null, subToken = null;
+    if (requestedPath === subPath) {
+        if (proxySettings.requireSubToken) return await fallback(request);
+    } else {
+        user = await findUserBySubPath(env, requestedPath);
+        subToken = !user && await findSubToken(env, requestedPath);
+        if (!user && !subToken) return await fallback(request);
+    }
 
-        case `/sub/fragment/${subPath}`:
-            if (client === 'hiddify-frag') return await getNormalConfigs(true);
-            return await getXrayCustomConfigs(env, true);
+    // kept out of globalThis, which concurrent requests in the isolate share
+    const credential = user
+        ? { uuid: user.uuid, trPassword: user.trPassword }
+        : { uuid: userID, trPassword: TRPassword };
 
-        case `/sub/warp/${subPath}`:
-            if (client === 'clash') return await getClashWarpConfig(request, env, false);
-            if (client === 'singbox') return await getSingBoxWarpConfig(request, env);
-            if (client === 'hiddify') return await getHiddifyWarpConfigs(false);
-            return await getXrayWarpConfigs(request, env, false);
+    if (!client) {
+        const { family, app } = detectSubClient(request, subType);
+        if (family && app === null && getSubClients(subType).length) return unsupportedClient(subType, family);
+        globalThis.client = app;
+    }
 
-        case `/sub/warp-pro/${subPath}`:
-            if (client === 'clash-pro') return await getClashWarpConfig(request, env, true);
-            if (client === 'hiddify-pro') return await getHiddifyWarpConfigs(true);
-            return await getXrayWarpConfigs(request, env, true);
+    if (subToken) await recordSubTokenUse(env, subToken, request, subType);
+    const userInfo = await getSubUserInfo(env, user, proxySettings);
+
+    switch (subType) {
+        case 'normal':
+            return await getNormalConfigs(false, credential, userInfo);
+
+        case 'full-normal':
+            if (client === 'sfa') return await getSingBoxCustomConfig(env, credential, userInfo);
+            if (client === 'clash') return await getClashNormalConfig(request, env, credential, userInfo);
+            if (client === 'xray') return await getXrayCustomConfigs(env, false, credential, userInfo);
+            if (client === 'surge') return await getSurgeConfig(request, credential, userInfo);
+            if (client === 'quantumultx') return await getQuantumultXConfig(credential, userInfo);
+            if (client === 'hiddify' || client === 'shadowrocket') return await getNormalConfigs(false, credential, userInfo);
+            return unsupportedClient(subType);
+
+        case 'fragment':
+            if (client === 'hiddify-frag') return await getNormalConfigs(true, credential, userInfo);
+            return await getXrayCustomConfigs(env, true, credential, userInfo);
+
+        case 'warp':
+            if (client === 'clash') return await getClashWarpConfig(request, env, false, userInfo);
+            if (client === 'singbox') return await getSingBoxWarpConfig(request, env, userInfo);
+            if (client === 'hiddify') return await getHiddifyWarpConfigs(false, userInfo);
+            return await getXrayWarpConfigs(request, env, false, userInfo);
+
+        case 'warp-pro':
+            if (client === 'clash-pro') return await getClashWarpConfig(request, env, true, userInfo);
+            if (client === 'hiddify-pro') return await getHiddifyWarpConfigs(true, userInfo);
+            return await getXrayWarpConfigs(request, env, true, userInfo);
 
         default:
             return await fallback(request);
     }
 }
 
+function unsupportedClient(subType, family) {
+    const apps = getSubClients(subType).map(app => app ? `app=${app}` : 'no app parameter').join(', ');
+    const message = family
+        ? `There is no ${subType} subscription for ${family} clients. Supported apps: ${apps}.`
+        : `Could not tell which client this ${subType} subscription is for. Add one of ${apps} to the link.`;
+    return new Response(message, {
+        status: 400,
+        headers: {
+            'Content-Type': 'text/plain;charset=utf-8',
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+/**
+ * Collects the Subscription-Userinfo values: a registry user's monthly usage, quota and expiry,
+ * or the quota and expiry set in the panel for the deployment's own subscription.
+ */
+async function getSubUserInfo(env, user, proxySettings) {
+    if (user) {
+        const { upload, download } = await getUsage(env, user.id);
+        return {
+            upload,
+            download,
+            total: user.quota || 0,
+            expire: user.expiresAt ? Math.floor(user.expiresAt / 1000) : 0
+        };
+    }
+
+    const { subTrafficLimit, subExpiry } = proxySettings;
+    return {
+        total: subTrafficLimit > 0 ? Math.round(subTrafficLimit * 1024 ** 3) : 0,
+        expire: subExpiry ? Math.floor(Date.parse(`${subExpiry}T23:59:59Z`) / 1000) || 0 : 0
+    };
+}
+
 async function updateSettings(request, env) {
     if (request.method === 'POST') {
         const auth = await Authenticate(request, env);
@@ -116,13 +285,17 @@ async function resetSettings(request, env) {
 async function getSettings(request, env) {
     try {
         const isPassSet = await env.kv.get('pwd') ? true : false;
+        const passwordPolicy = getPasswordPolicy(env);
         const auth = await Authenticate(request, env);
-        if (!auth) return await respond(false, 401, 'Unauthorized or expired session.', { isPassSet });
+        if (!auth) return await respond(false, 401, 'Unauthorized or expired session.', { isPassSet, passwordPolicy });
         const { proxySettings } = await getDataset(request, env);
         const settings = {
             proxySettings,
             isPassSet,
-            subPath: subPath
+            passwordPolicy,
+            csrfToken: await getCSRFToken(request, env),
+            subPath: subPath,
+            workerDoHURL: `${urlOrigin}${await getDoHPath(env)}`
         };
 
         return await respond(true, 200, null, settings);
@@ -157,6 +330,47 @@ async function getMyIP(request) {
     }
 }
 
+async function getProxyIPPool(request, env) {
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    const { proxySettings } = await getDataset(request, env);
+    const health = await getProxyIPHealth(env);
+    const entries = proxySettings.proxyIPs.length
+        ? proxySettings.proxyIPs
+        : proxyIPs.split(',').map(ip => ip.trim()).filter(Boolean);
+
+    const pool = entries.map(proxyIP => ({
+        proxyIP,
+        status: getProxyIPStatus(health[proxyIP]),
+        ...health[proxyIP]
+    }));
+
+    return await respond(true, 200, null, pool);
+}
+
+async function getDoHUpstreams(request, env) {
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    const { proxySettings } = await getDataset(request, env);
+    const stats = await getDoHStats(env);
+    const upstreams = proxySettings.dohUpstreams?.length ? proxySettings.dohUpstreams : [dohURL];
+    return await respond(true, 200, null, upstreams.map(url => ({ url, ...stats[url] })));
+}
+
+async function getRelayStatsSummary(request, env) {
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    const stats = await getRelayStats(env);
+    return await respond(true, 200, null, stats);
+}
+
+async function getFailedLoginsList(request, env) {
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    const failedLogins = await getFailedLogins(env);
+    return await respond(true, 200, null, failedLogins);
+}
+
 async function getWarpConfigs(request, env) {
     const isPro = client === 'amnezia';
     const auth = await Authenticate(request, env);
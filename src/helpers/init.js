@@ -1,4 +1,7 @@
 import { isValidUUID } from "./helpers";
+import { parseUpstreamProxy } from "../protocols/upstream";
+import { parseAccessRules } from "../protocols/acl";
+import { parseDNSFilter } from "../protocols/dnsfilter";
 import pkg from '../../package.json' with { type: 'json' };
 
 export function initializeParams(request, env) {
@@ -22,4 +25,26 @@ export function initializeParams(request, env) {
         if (globalThis.userID && !isValidUUID(globalThis.userID)) throw new Error(`Invalid UUID: ${globalThis.userID}`, { cause: "init" });
         if (typeof env.kv !== 'object') throw new Error('KV Dataset is not properly set! Please refer to tutorials.', { cause: "init" });
     }
-}
\ No newline at end of file
+}
+
+export async function initializeWSParams(env) {
+    let proxySettings;
+    try {
+        proxySettings = await env.kv.get("proxySettings", { type: 'json' });
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting KV - ${error}`);
+    }
+
+    globalThis.upstreamProxy = parseUpstreamProxy(proxySettings?.upstreamProxy);
+    globalThis.upstreamProxyMode = proxySettings?.upstreamProxyMode || 'retry';
+    const getTimeout = (field, defaultValue) => (+(proxySettings?.[field] ?? defaultValue) || 0) * 1000;
+    globalThis.connectTimeout = getTimeout('connectTimeout', 10);
+    globalThis.firstByteTimeout = getTimeout('firstByteTimeout', 0);
+    globalThis.idleTimeout = getTimeout('idleTimeout', 0);
+    globalThis.accessRules = parseAccessRules(proxySettings);
+    globalThis.dohUpstreams = proxySettings?.dohUpstreams?.length ? proxySettings.dohUpstreams : [dohURL];
+    globalThis.dohStrategy = proxySettings?.dohStrategy || 'failover';
+    globalThis.dnsCacheEnabled = proxySettings?.dnsCache === true;
+    globalThis.dnsFilter = parseDNSFilter(proxySettings);
+}
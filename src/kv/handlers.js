@@ -100,13 +100,28 @@ export async function updateDataset(request, env) {
     }
 
     const settings = {
+        subUpdateInterval: populateField('subUpdateInterval', '6'),
+        subSupportURL: populateField('subSupportURL', ''),
+        subTrafficLimit: populateField('subTrafficLimit', ''),
+        subExpiry: populateField('subExpiry', ''),
+        requireSubToken: populateField('requireSubToken', false),
         remoteDNS,
         dohHost: await initDoh(), 
         localDNS: populateField('localDNS', '8.8.8.8'),
         VLTRFakeDNS: populateField('VLTRFakeDNS', false),
+        dohUpstreams: populateField('dohUpstreams', [], false, true),
+        dohStrategy: populateField('dohStrategy', 'failover'),
+        dnsCache: populateField('dnsCache', false),
+        dnsFiltering: populateField('dnsFiltering', false),
+        dnsBlockResponse: populateField('dnsBlockResponse', 'nxdomain'),
         proxyIPs: populateField('proxyIPs', [], false, true),
         outProxy: populateField('outProxy', ''),
         outProxyParams: populateField('outProxy', {}, false, false, field => extractChainProxyParams(field)),
+        upstreamProxy: populateField('upstreamProxy', ''),
+        upstreamProxyMode: populateField('upstreamProxyMode', 'retry'),
+        connectTimeout: populateField('connectTimeout', '10'),
+        firstByteTimeout: populateField('firstByteTimeout', '0'),
+        idleTimeout: populateField('idleTimeout', '0'),
         cleanIPs: populateField('cleanIPs', [], false, true),
         VLTRenableIPv6: populateField('VLTRenableIPv6', true, false, true),
         customCdnAddrs: populateField('customCdnAddrs', [], false, true),
@@ -115,6 +130,7 @@ export async function updateDataset(request, env) {
         bestVLTRInterval: populateField('bestVLTRInterval', '30'),
         VLConfigs: populateField('VLConfigs', true, true),
         TRConfigs: populateField('TRConfigs', true, true),
+        SSConfigs: populateField('SSConfigs', false, true),
         ports: getPorts() ?? ['443'],
         fragmentLengthMin: populateField('fragmentLengthMin', '100'),
         fragmentLengthMax: populateField('fragmentLengthMax', '200'),
@@ -131,6 +147,8 @@ export async function updateDataset(request, env) {
         blockUDP443: populateField('blockUDP443', false, true),
         customBypassRules: populateField('customBypassRules', [], false, true),
         customBlockRules: populateField('customBlockRules', [], false, true),
+        blockedPorts: populateField('blockedPorts', ''),
+        allowPrivateNetworks: populateField('allowPrivateNetworks', false),
         warpEndpoints: populateField('warpEndpoints', ['engage.cloudflareclient.com:2408'], false, true),
         warpFakeDNS: populateField('warpFakeDNS', false),
         warpEnableIPv6: populateField('warpEnableIPv6', true),
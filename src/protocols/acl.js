@@ -0,0 +1,127 @@
+import { isDomain, isIPv4, isIPv6 } from '../cores-configs/helpers';
+
+const PRIVATE_IPV4_RANGES = ['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16'];
+const PRIVATE_IPV6_RANGES = ['[::]/128', '[::1]/128', '[fc00::]/7', '[fe80::]/10'];
+const PRIVATE_DOMAINS = ['localhost', 'local', 'internal', 'lan', 'home.arpa'];
+
+/**
+ * Builds the destination rules the worker enforces itself, so clients that ignore the routing in their
+ * config still cannot reach blocked destinations. Private, loopback and link-local ranges are denied
+ * unless the panel allows them.
+ * @param {object | null} proxySettings The stored panel settings.
+ * @returns {{domains: string[], ranges: object[], ports: number[][], allowPrivateNetworks: boolean}}
+ */
+export function parseAccessRules(proxySettings) {
+    const blockRules = proxySettings?.customBlockRules || [];
+    const allowPrivateNetworks = proxySettings?.allowPrivateNetworks === true;
+    const domains = blockRules.filter(rule => isDomain(rule)).map(domain => domain.toLowerCase());
+    const ranges = blockRules
+        .filter(rule => isIPv4(rule) || isIPv6(rule))
+        .map(parseRange)
+        .filter(Boolean);
+
+    if (!allowPrivateNetworks) {
+        domains.push(...PRIVATE_DOMAINS);
+        ranges.push(...[...PRIVATE_IPV4_RANGES, ...PRIVATE_IPV6_RANGES].map(parseRange));
+    }
+
+    return {
+        domains,
+        ranges,
+        ports: parsePortRanges(proxySettings?.blockedPorts || ''),
+        allowPrivateNetworks
+    };
+}
+
+/**
+ * Checks a destination against the worker's access rules.
+ * @param {string} address The destination domain or IP.
+ * @param {number} port The destination port.
+ * @returns {string | null} Why the destination is blocked, or null if it is allowed.
+ */
+export function checkDestination(address, port) {
+    const { domains, ranges, ports } = accessRules;
+    if (ports.some(([min, max]) => port >= min && port <= max)) return `port ${port} is blocked`;
+
+    const host = address.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    const ip = parseIP(host) || parseEmbeddedIPv4(host);
+    if (ip) {
+        return ranges.some(range => isInRange(ip, range)) ? `${host} is in a blocked range` : null;
+    }
+
+    const domain = domains.find(domain => host === domain || host.endsWith(`.${domain}`));
+    return domain ? `${domain} is blocked` : null;
+}
+
+/**
+ * Validates the panel's blocked ports, e.g. "25, 465, 6881-6889".
+ * @param {string} ports
+ * @returns {number[][]} Inclusive [min, max] ranges.
+ */
+export function parsePortRanges(ports) {
+    return ports
+        .split(',')
+        .map(range => range.trim())
+        .filter(Boolean)
+        .map(range => {
+            const [min, max = min] = range.split('-').map(port => +port.trim());
+            return [min, max];
+        })
+        .filter(([min, max]) => Number.isInteger(min) && Number.isInteger(max) && min <= max);
+}
+
+function parseRange(rule) {
+    const [address, prefix] = rule.split('/');
+    const ip = parseIP(address.replace(/^\[|\]$/g, ''));
+    if (!ip) return null;
+    const bits = ip.version === 4 ? 32n : 128n;
+    const prefixLength = prefix === undefined ? bits : BigInt(prefix);
+    const mask = ((1n << prefixLength) - 1n) << (bits - prefixLength);
+    return { version: ip.version, mask, network: ip.value & mask };
+}
+
+function isInRange(ip, range) {
+    if (ip.version === range.version) return (ip.value & range.mask) === range.network;
+
+    // IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges too
+    const isMapped = ip.version === 6 && ip.value >> 32n === 0xffffn;
+    return isMapped && range.version === 4 && ((ip.value & 0xffffffffn) & range.mask) === range.network;
+}
+
+/**
+ * @param {string} address An IPv4 or IPv6 address without brackets.
+ * @returns {{version: 4 | 6, value: bigint} | null}
+ */
+function parseIP(address) {
+    if (/^(\d{1,3}\.){3}\d{1,3}$/.test(address)) {
+        const octets = address.split('.').map(Number);
+        if (octets.some(octet => octet > 255)) return null;
+        return { version: 4, value: octets.reduce((value, octet) => (value << 8n) | BigInt(octet), 0n) };
+    }
+
+    if (!address.includes(':') || !/^[0-9a-f:.]+$/.test(address)) return null;
+    let groups = address.split(':');
+    const lastGroup = groups[groups.length - 1];
+    if (lastGroup.includes('.')) {
+        const ipv4 = parseIP(lastGroup);
+        if (!ipv4) return null;
+        groups.splice(-1, 1, (ipv4.value >> 16n).toString(16), (ipv4.value & 0xffffn).toString(16));
+    }
+
+    const gapIndex = address.indexOf('::');
+    if (gapIndex !== -1) {
+        const [head, tail] = groups.join(':').split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    }
+
+    if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+    return { version: 6, value: groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n) };
+}
+
+// wildcard DNS names like 10.0.0.1.sslip.io resolve to the IP they carry
+function parseEmbeddedIPv4(host) {
+    const match = host.match(/(?:^|\.)(\d{1,3}[.-]\d{1,3}[.-]\d{1,3}[.-]\d{1,3})\.(?:sslip\.io|nip\.io)$/);
+    return match ? parseIP(match[1].replace(/-/g, '.')) : null;
+}
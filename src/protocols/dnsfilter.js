@@ -0,0 +1,141 @@
+import { isDomain } from '../cores-configs/helpers';
+
+// The same domain lists the Clash configs use for their block rules.
+const BLOCKLIST_BASE_URL = 'https://raw.githubusercontent.com/Chocolate4U/Iran-clash-rules/release';
+const LIST_REFRESH_INTERVAL = 12 * 60 * 60 * 1000;
+const LIST_RETRY_INTERVAL = 5 * 60 * 1000;
+const BLOCKED_TTL = 300;
+// Every isolate downloads and parses the lists itself, while a client waits on its first DNS query, so each list
+// is cut at 1 MB (about 40k domains) to bound that CPU time and the memory its Set takes.
+const MAX_LIST_BYTES = 1024 * 1024;
+
+// Per-isolate cache of downloaded lists, keyed by category.
+const blocklists = new Map();
+
+/**
+ * Picks the lists and rules the DNS relay filters with. Malware, phishing and cryptominer domains are
+ * always blocked, like in the client configs; ads and adult lists follow the panel's block rules.
+ * @param {object | null} proxySettings The stored panel settings.
+ * @returns {{categories: string[], domains: Set<string>, response: 'nxdomain' | 'null'} | null} Null if filtering is off.
+ */
+export function parseDNSFilter(proxySettings) {
+    if (proxySettings?.dnsFiltering !== true) return null;
+    const { blockAds, blockPorn, customBlockRules = [] } = proxySettings;
+    return {
+        categories: ['malware', 'phishing', 'cryptominers', blockAds && 'category-ads-all', blockPorn && 'nsfw'].filter(Boolean),
+        domains: new Set(customBlockRules.filter(rule => isDomain(rule)).map(domain => domain.toLowerCase())),
+        response: proxySettings.dnsBlockResponse === 'null' ? 'null' : 'nxdomain'
+    };
+}
+
+/**
+ * Answers a DNS query locally if its name, or any parent domain, is blocked.
+ * @param {Uint8Array} query The raw DNS query message.
+ * @param {(info: string) => void} [log] The logging function.
+ * @returns {Promise<ArrayBuffer | null>} The blocking response, or null if the query may be resolved.
+ */
+export async function filterDNSQuery(query, log) {
+    const question = parseQuestion(query);
+    if (!question) return null;
+
+    const lists = await Promise.all(dnsFilter.categories.map(loadBlocklist));
+    const labels = question.name.split('.');
+    const blockedDomain = labels
+        .map((_, index) => labels.slice(index).join('.'))
+        .find(domain => dnsFilter.domains.has(domain) || lists.some(list => list.has(domain)));
+
+    if (!blockedDomain) return null;
+    log?.(`dns query for ${question.name} blocked by ${blockedDomain}`);
+    return buildBlockedResponse(query, question);
+}
+
+async function loadBlocklist(category) {
+    const cached = blocklists.get(category);
+    if (cached && cached.expiresAt > Date.now()) return await cached.domains;
+
+    const domains = fetch(`${BLOCKLIST_BASE_URL}/${category}.txt`, { cf: { cacheTtl: LIST_REFRESH_INTERVAL / 1000 } })
+        .then(async response => {
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            return parseBlocklist(await readListText(response, category));
+        })
+        .catch(error => {
+            console.log(`Loading DNS blocklist ${category} failed:`, error.message || error);
+            blocklists.set(category, { domains: Promise.resolve(cached ? cached.domains : new Set()), expiresAt: Date.now() + LIST_RETRY_INTERVAL });
+            return cached ? cached.domains : new Set();
+        });
+
+    blocklists.set(category, { domains, expiresAt: Date.now() + LIST_REFRESH_INTERVAL });
+    return await domains;
+}
+
+async function readListText(response, category) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    while (size < MAX_LIST_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) return await new Blob(chunks).text();
+        chunks.push(value);
+        size += value.byteLength;
+    }
+
+    reader.cancel().catch(() => { });
+    console.log(`DNS blocklist ${category} is larger than ${MAX_LIST_BYTES} bytes, using its first entries only`);
+    const text = await new Blob(chunks).slice(0, MAX_LIST_BYTES).text();
+    // the last line may have been cut in half
+    return text.slice(0, text.lastIndexOf('\n'));
+}
+
+// Accepts plain domains, Clash "+." suffix entries and hosts-file lines.
+function parseBlocklist(text) {
+    const domains = new Set();
+    text.split('\n').forEach(line => {
+        const entry = line.replace(/#.*/, '').trim().split(/\s+/).pop()?.replace(/^(\+\.|\*\.|\.|domain:|full:)/, '').toLowerCase();
+        if (entry && isDomain(entry)) domains.add(entry);
+    });
+
+    return domains;
+}
+
+function parseQuestion(query) {
+    if (query.byteLength < 12 || ((query[4] << 8) | query[5]) !== 1) return null;
+    const labels = [];
+    let offset = 12;
+    while (offset < query.byteLength && query[offset] !== 0) {
+        const length = query[offset];
+        if (length > 63 || offset + 1 + length > query.byteLength) return null;
+        labels.push(new TextDecoder().decode(query.subarray(offset + 1, offset + 1 + length)));
+        offset += length + 1;
+    }
+
+    const end = offset + 5;
+    if (!labels.length || end > query.byteLength) return null;
+    return {
+        name: labels.join('.').toLowerCase(),
+        type: (query[offset + 1] << 8) | query[offset + 2],
+        bytes: query.subarray(12, end)
+    };
+}
+
+/**
+ * Builds an NXDOMAIN response, or a 0.0.0.0 / :: answer in null mode.
+ * Other record types get an empty NOERROR answer in null mode.
+ */
+function buildBlockedResponse(query, { type, bytes }) {
+    const isNull = dnsFilter.response === 'null';
+    const addressLength = type === 1 ? 4 : type === 28 ? 16 : 0;
+    const answer = isNull && addressLength
+        ? [0xc0, 0x0c, type >> 8, type & 0xff, 0, 1, 0, 0, BLOCKED_TTL >> 8, BLOCKED_TTL & 0xff, 0, addressLength, ...new Array(addressLength).fill(0)]
+        : [];
+
+    const header = [
+        query[0], query[1],
+        0x80 | (query[2] & 0x79), 0x80 | (isNull ? 0 : 3),
+        0, 1,
+        0, answer.length ? 1 : 0,
+        0, 0,
+        0, 0
+    ];
+
+    return new Uint8Array([...header, ...bytes, ...answer]).buffer;
+}
@@ -0,0 +1,242 @@
+import { filterDNSQuery } from './dnsfilter';
+
+const STATS_KEY = 'dohStats';
+const STATS_TTL = 24 * 60 * 60;
+const STATS_WRITE_INTERVAL = 60 * 1000;
+const QUERY_TIMEOUT = 5000;
+const FAILURE_COOLDOWN = 30 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+
+// Per-isolate state: upstream health for ordering, counters not yet written to KV, and the answer cache.
+const upstreamHealth = new Map();
+const pendingStats = new Map();
+const dnsCache = new Map();
+let lastStatsWrite = Date.now();
+
+/**
+ * Resolves a DNS query in wire format through the panel's DoH upstreams, either trying them in order
+ * or racing them. Upstreams that just failed are tried last. With the DNS cache enabled, answers are
+ * reused within this isolate until their lowest TTL runs out. Blocked names are answered locally.
+ * @param {object} env The worker environment, used to persist upstream stats.
+ * @param {ArrayBuffer | Uint8Array} dnsQuery The raw DNS query message.
+ * @param {(info: string) => void} [log] The connection's logging function, for blocked queries.
+ * @returns {Promise<ArrayBuffer>} The raw DNS response message.
+ */
+export async function queryDoH(env, dnsQuery, log) {
+    const query = new Uint8Array(dnsQuery);
+    const blockedResponse = dnsFilter && await filterDNSQuery(query, log);
+    if (blockedResponse) return blockedResponse;
+
+    const cacheKey = dnsCacheEnabled ? getCacheKey(query) : null;
+    const cached = cacheKey && readCache(cacheKey, query);
+    if (cached) return cached;
+
+    const upstreams = [...dohUpstreams].sort((a, b) => isCoolingDown(a) - isCoolingDown(b));
+    try {
+        const response = dohStrategy === 'race'
+            ? await Promise.any(upstreams.map(url => queryUpstream(url, query)))
+            : await queryInOrder(upstreams, query);
+
+        cacheKey && writeCache(cacheKey, response);
+        return response;
+    } catch (error) {
+        throw new Error(`all DoH upstreams failed - ${error.errors?.map(e => e.message).join(', ') || error.message}`);
+    } finally {
+        writeStats(env);
+    }
+}
+
+/**
+ * Builds the path of the worker's own DoH endpoint, /dns-query/<secret>. The secret comes from DOH_SECRET,
+ * or is derived from the UUID so it stays stable without being stored.
+ * @param {object} env The worker environment.
+ * @returns {Promise<string>}
+ */
+export async function getDoHPath(env) {
+    if (env.DOH_SECRET) return `/dns-query/${env.DOH_SECRET}`;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`dns-query:${env.UUID}`));
+    const secret = Array.from(new Uint8Array(digest).slice(0, 12), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `/dns-query/${secret}`;
+}
+
+/**
+ * Reads the stored per-upstream stats for the panel.
+ * @param {object} env The worker environment.
+ * @returns {Promise<object>} Stats keyed by upstream URL.
+ */
+export async function getDoHStats(env) {
+    try {
+        const stats = await env.kv.get(STATS_KEY, { type: 'json' });
+        return stats || {};
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting DoH stats - ${error}`);
+    }
+}
+
+async function queryInOrder(upstreams, query) {
+    let lastError;
+    for (const url of upstreams) {
+        try {
+            return await queryUpstream(url, query);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+async function queryUpstream(url, query) {
+    const startTime = Date.now();
+    try {
+        const response = await fetch(url, {
+            method: "POST",
+            headers: {
+                "content-type": "application/dns-message",
+            },
+            body: query,
+            signal: AbortSignal.timeout(QUERY_TIMEOUT),
+        });
+
+        if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+        const result = await response.arrayBuffer();
+        recordQuery(url, true, Date.now() - startTime);
+        return result;
+    } catch (error) {
+        recordQuery(url, false);
+        throw new Error(`${url} - ${error.message || error}`);
+    }
+}
+
+function isCoolingDown(url) {
+    const lastFailure = upstreamHealth.get(url)?.lastFailure;
+    return !!lastFailure && Date.now() - lastFailure < FAILURE_COOLDOWN;
+}
+
+function recordQuery(url, isSuccess, latency) {
+    const now = Date.now();
+    upstreamHealth.set(url, { lastFailure: isSuccess ? null : now });
+    const stats = pendingStats.get(url) || { queries: 0, failures: 0, latencySum: 0, lastSuccess: null, lastFailure: null };
+    stats.queries++;
+    if (isSuccess) {
+        stats.latencySum += latency;
+        stats.lastSuccess = now;
+    } else {
+        stats.failures++;
+        stats.lastFailure = now;
+    }
+
+    pendingStats.set(url, stats);
+}
+
+/**
+ * Merges this isolate's counters into the stored stats, at most once per write interval to spare KV writes.
+ * Latency is kept as a moving average of the batch averages.
+ */
+async function writeStats(env) {
+    const now = Date.now();
+    if (!pendingStats.size || now - lastStatsWrite < STATS_WRITE_INTERVAL) return;
+    lastStatsWrite = now;
+    const batch = new Map(pendingStats);
+    pendingStats.clear();
+
+    try {
+        const stored = await getDoHStats(env);
+        batch.forEach(({ queries, failures, latencySum, lastSuccess, lastFailure }, url) => {
+            const stats = stored[url] || { queries: 0, failures: 0, latency: null, lastSuccess: null, lastFailure: null };
+            const successes = queries - failures;
+            if (successes) {
+                const latency = Math.round(latencySum / successes);
+                stats.latency = stats.latency === null ? latency : Math.round(stats.latency * 0.7 + latency * 0.3);
+            }
+
+            stats.queries += queries;
+            stats.failures += failures;
+            stats.lastSuccess = lastSuccess || stats.lastSuccess;
+            stats.lastFailure = lastFailure || stats.lastFailure;
+            stored[url] = stats;
+        });
+
+        await env.kv.put(STATS_KEY, JSON.stringify(stored), { expirationTtl: STATS_TTL });
+    } catch (error) {
+        console.log('Writing DoH stats failed:', error);
+    }
+}
+
+/**
+ * Keys the cache by the question section (name, type and class) and the RD / CD flags,
+ * ignoring the transaction ID and any EDNS records.
+ * @param {Uint8Array} query
+ * @returns {string | null}
+ */
+function getCacheKey(query) {
+    if (query.byteLength < 12 || ((query[4] << 8) | query[5]) !== 1) return null;
+    const nameEnd = skipName(query, 12);
+    if (!nameEnd || nameEnd + 4 > query.byteLength) return null;
+    const flags = (query[2] & 0x01) | (query[3] & 0x10);
+    return `${flags}:${Array.from(query.subarray(12, nameEnd + 4), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function readCache(cacheKey, query) {
+    const entry = dnsCache.get(cacheKey);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        dnsCache.delete(cacheKey);
+        return null;
+    }
+
+    // answer with the client's transaction ID
+    const response = entry.response.slice();
+    response.set(query.subarray(0, 2));
+    return response.buffer;
+}
+
+function writeCache(cacheKey, response) {
+    const ttl = getMinTTL(new Uint8Array(response));
+    if (!ttl) return;
+    if (dnsCache.size >= MAX_CACHE_ENTRIES) dnsCache.delete(dnsCache.keys().next().value);
+    dnsCache.set(cacheKey, { response: new Uint8Array(response), expiresAt: Date.now() + ttl * 1000 });
+}
+
+/**
+ * Finds the lowest TTL among the answer and authority records of a successful response.
+ * @param {Uint8Array} response
+ * @returns {number | null} The TTL in seconds, or null if the response should not be cached.
+ */
+function getMinTTL(response) {
+    if (response.byteLength < 12 || (response[3] & 0x0f) !== 0) return null;
+    const view = new DataView(response.buffer, response.byteOffset, response.byteLength);
+    const questionCount = view.getUint16(4);
+    const recordCount = view.getUint16(6) + view.getUint16(8);
+    if (!view.getUint16(6)) return null;
+
+    let offset = 12;
+    for (let i = 0; i < questionCount; i++) {
+        offset = skipName(response, offset);
+        if (!offset) return null;
+        offset += 4;
+    }
+
+    let minTTL = Infinity;
+    for (let i = 0; i < recordCount; i++) {
+        offset = skipName(response, offset);
+        if (!offset || offset + 10 > response.byteLength) return null;
+        minTTL = Math.min(minTTL, view.getUint32(offset + 4));
+        offset += 10 + view.getUint16(offset + 8);
+    }
+
+    return offset && offset <= response.byteLength && minTTL !== Infinity ? minTTL : null;
+}
+
+// returns the offset right after a (possibly compressed) domain name, or 0 if it runs past the message
+function skipName(message, offset) {
+    while (offset < message.byteLength) {
+        const length = message[offset];
+        if (length === 0) return offset + 1;
+        if ((length & 0xc0) === 0xc0) return offset + 2;
+        offset += length + 1;
+    }
+
+    return 0;
+}
@@ -0,0 +1,273 @@
+import { queryDoH } from './doh';
+import { connectRemote, WS_READY_STATE_OPEN } from './transport';
+import { checkDestination } from './acl';
+
+const SESSION_STATUS_NEW = 0x01;
+const SESSION_STATUS_KEEP = 0x02;
+const SESSION_STATUS_END = 0x03;
+const SESSION_STATUS_KEEP_ALIVE = 0x04;
+const OPTION_DATA = 0x01;
+const OPTION_ERROR = 0x02;
+const NETWORK_TCP = 0x01;
+const NETWORK_UDP = 0x02;
+const MAX_FRAME_DATA = 0xffff;
+
+/**
+ * Handles a VL mux (Mux.Cool / XUDP) stream, where one WebSocket carries many sub-streams.
+ * Every frame is: metadata length (2) | session ID (2) | status (1) | option (1) | [network (1) | port (2) | address] | [data length (2) | data].
+ * TCP sub-streams are opened with connect(), UDP sub-streams only relay DNS (port 53) over DoH.
+ *
+ * @param {object} env The worker environment.
+ * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket carrying the mux stream.
+ * @param {Uint8Array} VLResponseHeader The VL response header, sent before the first frame.
+ * @param {(info: string) => void} log The logging function.
+ * @param {{addDownload: (bytes: number) => void} | null} traffic The user's traffic counter, if any.
+ * @returns {{write: (chunk: ArrayBuffer) => Promise<void>, close: () => void}}
+ */
+export function handleMuxOutBound(env, webSocket, VLResponseHeader, log, traffic) {
+    const sessions = new Map();
+    let pending = new Uint8Array(0);
+    let isVLHeaderSent = false;
+
+    function send(sessionId, status, option, target, data) {
+        if (webSocket.readyState !== WS_READY_STATE_OPEN) return;
+        const frame = encodeMuxFrame(sessionId, status, option, target, data);
+        data && traffic?.addDownload(data.byteLength);
+        if (isVLHeaderSent) {
+            webSocket.send(frame);
+        } else {
+            const message = new Uint8Array(VLResponseHeader.byteLength + frame.byteLength);
+            message.set(VLResponseHeader);
+            message.set(frame, VLResponseHeader.byteLength);
+            webSocket.send(message);
+            isVLHeaderSent = true;
+        }
+    }
+
+    function closeSession(sessionId, hasError, notifyClient) {
+        const session = sessions.get(sessionId);
+        if (!session) return;
+        sessions.delete(sessionId);
+        try {
+            session.socket?.close();
+        } catch (error) {
+            log(`mux session ${sessionId} close error: ${error}`);
+        }
+
+        notifyClient && send(sessionId, SESSION_STATUS_END, hasError ? OPTION_ERROR : 0, null, null);
+    }
+
+    // TCP sessions connect in the background: their data is chained onto `writing`, which waits for the socket,
+    // so a slow destination only holds up its own session
+    function openSession(sessionId, target) {
+        if (target.network === NETWORK_UDP) {
+            sessions.set(sessionId, { target });
+            return;
+        }
+
+        const blockReason = checkDestination(target.address, target.port);
+        if (blockReason) {
+            log(`mux session ${sessionId} access denied to ${target.address}:${target.port}, ${blockReason}`);
+            send(sessionId, SESSION_STATUS_END, OPTION_ERROR, null, null);
+            return;
+        }
+
+        const session = { target, socket: null, writer: null, writing: null };
+        const isCurrent = () => sessions.get(sessionId) === session;
+        sessions.set(sessionId, session);
+        session.writing = connectRemote(target.address, target.port, upstreamProxy && upstreamProxyMode === 'primary')
+            .then((socket) => {
+                if (!isCurrent()) return socket.close();
+                session.socket = socket;
+                session.writer = socket.writable.getWriter();
+                log(`mux session ${sessionId} connected to ${target.address}:${target.port}`);
+
+                socket.readable
+                    .pipeTo(
+                        new WritableStream({
+                            write(chunk) {
+                                for (let offset = 0; offset < chunk.byteLength; offset += MAX_FRAME_DATA) {
+                                    send(sessionId, SESSION_STATUS_KEEP, OPTION_DATA, null, chunk.slice(offset, offset + MAX_FRAME_DATA));
+                                }
+                            },
+                        })
+                    )
+                    .then(() => isCurrent() && closeSession(sessionId, false, true))
+                    .catch((error) => {
+                        log(`mux session ${sessionId} remote error: ${error}`);
+                        isCurrent() && closeSession(sessionId, true, true);
+                    });
+            })
+            .catch((error) => {
+                log(`mux session ${sessionId} ${error}`);
+                isCurrent() && closeSession(sessionId, true, true);
+            });
+    }
+
+    async function writeSession(sessionId, data, packetTarget) {
+        const session = sessions.get(sessionId);
+        if (session.writing) {
+            const writing = session.writing.then(async () => {
+                // the connect failed or the session was closed while connecting
+                if (!session.writer || sessions.get(sessionId) !== session) return;
+                try {
+                    await session.writer.write(data);
+                } catch (error) {
+                    log(`mux session ${sessionId} write error: ${error}`);
+                    sessions.get(sessionId) === session && closeSession(sessionId, true, true);
+                }
+            });
+
+            session.writing = writing;
+            // once connected, waiting for the write keeps a slow destination from piling data up in the worker
+            session.writer && await writing;
+            return;
+        }
+
+        const target = packetTarget || session.target;
+        if (target.port !== 53) {
+            log(`mux UDP packet to port ${target.port} dropped, only DNS is supported`);
+            return;
+        }
+
+        queryDoH(env, data, log)
+            .then(dnsQueryResult => sessions.has(sessionId) && send(sessionId, SESSION_STATUS_KEEP, OPTION_DATA, target, dnsQueryResult))
+            .catch(error => log(`mux session ${sessionId} doh error: ${error}`));
+    }
+
+    async function handleFrame({ sessionId, status, target, data }) {
+        switch (status) {
+            case SESSION_STATUS_NEW:
+                if (!target) throw new Error(`mux session ${sessionId} has no target`);
+                closeSession(sessionId, false, false);
+                openSession(sessionId, target);
+                data && sessions.has(sessionId) && await writeSession(sessionId, data, null);
+                break;
+
+            case SESSION_STATUS_KEEP:
+                if (!sessions.has(sessionId)) {
+                    send(sessionId, SESSION_STATUS_END, OPTION_ERROR, null, null);
+                    break;
+                }
+                data && await writeSession(sessionId, data, target);
+                break;
+
+            case SESSION_STATUS_END:
+                closeSession(sessionId, false, false);
+                break;
+
+            case SESSION_STATUS_KEEP_ALIVE:
+                break;
+
+            default:
+                throw new Error(`unknown mux session status ${status}`);
+        }
+    }
+
+    return {
+        async write(chunk) {
+            const data = new Uint8Array(pending.byteLength + chunk.byteLength);
+            data.set(pending);
+            data.set(new Uint8Array(chunk), pending.byteLength);
+
+            let index = 0;
+            let frame;
+            while ((frame = parseMuxFrame(data.subarray(index)))) {
+                index += frame.size;
+                await handleFrame(frame);
+            }
+
+            pending = data.slice(index);
+        },
+        close() {
+            [...sessions.keys()].forEach(sessionId => closeSession(sessionId, false, false));
+        },
+    };
+}
+
+/**
+ * Reads one mux frame from the start of the buffer.
+ * @param {Uint8Array} buffer The buffered client data.
+ * @returns {{sessionId: number, status: number, target: object | null, data: Uint8Array | null, size: number} | null} The frame, or null if it is not complete yet.
+ */
+function parseMuxFrame(buffer) {
+    if (buffer.byteLength < 2) return null;
+    const metaLength = (buffer[0] << 8) | buffer[1];
+    let size = 2 + metaLength;
+    if (buffer.byteLength < size) return null;
+    if (metaLength < 4) throw new Error(`invalid mux metadata length ${metaLength}`);
+
+    const meta = buffer.subarray(2, size);
+    const status = meta[2];
+    let data = null;
+    if (meta[3] & OPTION_DATA) {
+        if (buffer.byteLength < size + 2) return null;
+        const dataLength = (buffer[size] << 8) | buffer[size + 1];
+        if (buffer.byteLength < size + 2 + dataLength) return null;
+        data = buffer.slice(size + 2, size + 2 + dataLength);
+        size += 2 + dataLength;
+    }
+
+    const hasTarget = meta.byteLength > 4 && (status === SESSION_STATUS_NEW || status === SESSION_STATUS_KEEP);
+    return {
+        sessionId: (meta[0] << 8) | meta[1],
+        status,
+        target: hasTarget ? parseMuxTarget(meta) : null,
+        data,
+        size,
+    };
+}
+
+/**
+ * Parses the network and destination of a New frame, or of an XUDP Keep frame carrying a packet address.
+ * The trailing XUDP global ID, if any, is ignored.
+ * @param {Uint8Array} meta The frame metadata.
+ * @returns {{network: number, port: number, address: string, raw: Uint8Array}}
+ */
+function parseMuxTarget(meta) {
+    const network = meta[4];
+    const port = (meta[5] << 8) | meta[6];
+    const addressType = meta[7];
+    let address = "";
+    let addressEnd = 0;
+    switch (addressType) {
+        case 1:
+            addressEnd = 12;
+            address = Array.from(meta.subarray(8, addressEnd)).join(".");
+            break;
+        case 2:
+            addressEnd = 9 + meta[8];
+            address = new TextDecoder().decode(meta.subarray(9, addressEnd));
+            break;
+        case 3:
+            addressEnd = 24;
+            const ipv6 = [];
+            for (let i = 8; i < addressEnd; i += 2) {
+                ipv6.push(((meta[i] << 8) | meta[i + 1]).toString(16));
+            }
+            address = ipv6.join(":");
+            break;
+        default:
+            throw new Error(`invalid mux addressType is ${addressType}`);
+    }
+
+    if (network !== NETWORK_TCP && network !== NETWORK_UDP) throw new Error(`invalid mux network ${network}`);
+    if (!address) throw new Error(`mux address is empty, addressType is ${addressType}`);
+    return { network, port, address, raw: meta.slice(4, addressEnd) };
+}
+
+function encodeMuxFrame(sessionId, status, option, target, data) {
+    const targetBytes = target ? target.raw : new Uint8Array(0);
+    const metaLength = 4 + targetBytes.byteLength;
+    const dataLength = data ? data.byteLength : 0;
+    const frame = new Uint8Array(2 + metaLength + (data ? 2 + dataLength : 0));
+    frame.set([metaLength >> 8, metaLength & 0xff, sessionId >> 8, sessionId & 0xff, status, option]);
+    frame.set(targetBytes, 6);
+    if (data) {
+        const dataIndex = 2 + metaLength;
+        frame.set([dataLength >> 8, dataLength & 0xff], dataIndex);
+        frame.set(new Uint8Array(data), dataIndex + 2);
+    }
+
+    return frame;
+}
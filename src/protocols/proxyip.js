@@ -0,0 +1,188 @@
+const HEALTH_PREFIX = 'proxyIPHealth:';
+const HEALTH_TTL = 24 * 60 * 60;
+const BASE_COOLDOWN = 30 * 1000;
+const MAX_COOLDOWN = 30 * 60 * 1000;
+const FLUSH_INTERVAL = 30 * 1000;
+
+// Each isolate keeps its own record per proxy IP and writes them, as absolute values, under keys of its own,
+// the same way traffic usage is kept. Reports never read KV back, so concurrent failures can't lose each other's counts.
+const isolateHealth = new Map();
+const unflushed = new Set();
+let isolateID = null;
+let lastFlush = 0;
+
+/**
+ * Merges the records of every isolate into one per proxy IP. This isolate's own records are taken from memory,
+ * since its keys may lag behind by up to the flush interval.
+ * @param {object} env The worker environment.
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function getProxyIPHealth(env) {
+    try {
+        const records = {};
+        let cursor;
+        do {
+            const page = await env.kv.list({ prefix: HEALTH_PREFIX, cursor });
+            page.keys.forEach(({ name, metadata }) => {
+                if (!metadata || (isolateID && name.startsWith(`${HEALTH_PREFIX}${isolateID}:`))) return;
+                (records[metadata.proxyIP] ||= []).push(metadata);
+            });
+
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+
+        isolateHealth.forEach((stats, proxyIP) => {
+            const lastUsed = Math.max(stats.lastSuccess || 0, stats.lastFailure || 0);
+            if (Date.now() - lastUsed < HEALTH_TTL * 1000) (records[proxyIP] ||= []).push(stats);
+        });
+        return Object.fromEntries(Object.entries(records).map(([proxyIP, stats]) => [proxyIP, mergeStats(stats)]));
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting proxy IP health - ${error}`);
+    }
+}
+
+// failures only count as consecutive if they came after the latest success seen by any isolate
+function mergeStats(records) {
+    const sum = field => records.reduce((total, stats) => total + stats[field], 0);
+    const lastSuccess = Math.max(...records.map(stats => stats.lastSuccess || 0)) || null;
+    const lastFailure = Math.max(...records.map(stats => stats.lastFailure || 0)) || null;
+    return {
+        successes: sum('successes'),
+        failures: sum('failures'),
+        consecutiveFailures: records
+            .filter(stats => stats.lastFailure > (lastSuccess || 0))
+            .reduce((total, stats) => total + stats.consecutiveFailures, 0),
+        latency: lastSuccess ? records.find(stats => stats.lastSuccess === lastSuccess).latency : null,
+        lastSuccess,
+        lastFailure
+    };
+}
+
+function getCooldown(stats) {
+    if (!stats?.consecutiveFailures) return 0;
+    const cooldown = Math.min(BASE_COOLDOWN * 2 ** (stats.consecutiveFailures - 1), MAX_COOLDOWN);
+    return Math.max(stats.lastFailure + cooldown - Date.now(), 0);
+}
+
+/**
+ * Describes a proxy IP's state for the panel.
+ * @param {object | undefined} stats The entry's health record.
+ * @returns {'healthy' | 'failing' | 'cooling down' | 'untested'}
+ */
+export function getProxyIPStatus(stats) {
+    if (!stats) return 'untested';
+    if (getCooldown(stats)) return 'cooling down';
+    return stats.consecutiveFailures ? 'failing' : 'healthy';
+}
+
+/**
+ * Picks the proxy IP to retry through. The fastest entry that is not cooling down after failures wins,
+ * so the same healthy entry keeps being used until it fails. Untested entries are tried next,
+ * and if everything is cooling down the entry that recovers soonest is used.
+ * @param {object} env The worker environment.
+ * @param {string[]} proxyIPs The candidate entries, as host or host:port.
+ * @returns {Promise<string>}
+ */
+export async function selectProxyIP(env, proxyIPs) {
+    let health = {};
+    try {
+        health = await getProxyIPHealth(env);
+    } catch (error) {
+        console.log(error);
+    }
+
+    const available = proxyIPs.filter(proxyIP => !getCooldown(health[proxyIP]));
+    const healthy = available
+        .filter(proxyIP => health[proxyIP]?.lastSuccess && !health[proxyIP].consecutiveFailures)
+        .sort((a, b) => health[a].latency - health[b].latency);
+
+    if (healthy.length) return healthy[0];
+    const untested = available.filter(proxyIP => !health[proxyIP]);
+    const candidates = untested.length ? untested : available;
+    if (candidates.length) return candidates[Math.floor(Math.random() * candidates.length)];
+    return [...proxyIPs].sort((a, b) => getCooldown(health[a]) - getCooldown(health[b]))[0];
+}
+
+/**
+ * Records the outcome of a connection through a proxy IP in this isolate's totals. Latency is kept as a moving average.
+ * Changed records are written to KV at most every 30 seconds, with the next report after that, so a few reports
+ * of an isolate that goes quiet may never reach the other isolates.
+ * @param {object} env The worker environment.
+ * @param {string} proxyIP The entry that was used.
+ * @param {boolean} isSuccess Whether the remote answered through it.
+ * @param {number} [latency] Milliseconds until the first byte came back.
+ */
+export function reportProxyIP(env, proxyIP, isSuccess, latency) {
+    // random values are only available while handling a request, so the ID can't be made at module load
+    isolateID ||= crypto.randomUUID();
+    const now = Date.now();
+    const stats = isolateHealth.get(proxyIP) || { proxyIP, successes: 0, failures: 0, consecutiveFailures: 0, latency: null, lastSuccess: null, lastFailure: null };
+    if (isSuccess) {
+        stats.successes++;
+        stats.consecutiveFailures = 0;
+        stats.latency = stats.latency === null ? latency : Math.round(stats.latency * 0.7 + latency * 0.3);
+        stats.lastSuccess = now;
+    } else {
+        stats.failures++;
+        stats.consecutiveFailures++;
+        stats.lastFailure = now;
+    }
+
+    isolateHealth.set(proxyIP, stats);
+    unflushed.add(proxyIP);
+    if (now - lastFlush < FLUSH_INTERVAL) return;
+    lastFlush = now;
+    unflushed.forEach(proxyIP => {
+        env.kv.put(`${HEALTH_PREFIX}${isolateID}:${proxyIP}`, '', { metadata: isolateHealth.get(proxyIP), expirationTtl: HEALTH_TTL })
+            .catch(error => console.log('Reporting proxy IP health failed:', error));
+    });
+
+    unflushed.clear();
+}
+
+/**
+ * Splits a proxy IP entry into host and port, e.g. "1.2.3.4:8443", "[2001:db8::1]:443" or "proxy.example.com".
+ * @param {string} proxyIP The entry to split.
+ * @returns {{host: string, port: number | null}}
+ */
+export function parseProxyIP(proxyIP) {
+    const ipv6Match = proxyIP.match(/^(\[.*?\])(?::(\d+))?$/);
+    if (ipv6Match) return { host: ipv6Match[1], port: ipv6Match[2] ? +ipv6Match[2] : null };
+    const [host, port] = proxyIP.split(':');
+    return { host, port: port ? +port : null };
+}
+
+/**
+ * Watches a socket opened through a proxy IP and reports it healthy on the first incoming byte,
+ * or failed if it closes without any data.
+ * @param {object} env The worker environment.
+ * @param {string} proxyIP The entry the socket was opened through.
+ * @param {import("@cloudflare/workers-types").Socket} socket The remote socket.
+ * @returns {import("@cloudflare/workers-types").Socket} The socket with a monitored readable side.
+ */
+export function monitorProxyIP(env, proxyIP, socket) {
+    const startTime = Date.now();
+    let hasIncomingData = false;
+    const monitor = new TransformStream({
+        transform(chunk, controller) {
+            if (!hasIncomingData) {
+                hasIncomingData = true;
+                reportProxyIP(env, proxyIP, true, Date.now() - startTime);
+            }
+
+            controller.enqueue(chunk);
+        },
+        flush() {
+            hasIncomingData || reportProxyIP(env, proxyIP, false);
+        }
+    });
+
+    socket.closed.catch(() => hasIncomingData || reportProxyIP(env, proxyIP, false));
+    return {
+        readable: socket.readable.pipeThrough(monitor),
+        writable: socket.writable,
+        closed: socket.closed,
+        close: () => socket.close()
+    };
+}
@@ -0,0 +1,59 @@
+const STATS_PREFIX = 'relayStats:';
+const STATS_TTL = 24 * 60 * 60;
+const STATS_WRITE_INTERVAL = 60 * 1000;
+
+// Each isolate keeps totals of its remote-to-client relays and writes them, as absolute values, under its own key,
+// the same way traffic usage is kept, so isolates never overwrite each other's numbers.
+const isolateStats = { connections: 0, bytes: 0, chunks: 0, messages: 0, duration: 0 };
+let isolateID = null;
+let lastWrite = 0;
+
+/**
+ * Adds a finished relay to this isolate's totals. They are written to KV at most once a minute,
+ * so the last minute of an isolate that stops relaying is not persisted.
+ * @param {object} env The worker environment.
+ * @param {import('./transport').PumpMetrics} metrics The relay's metrics.
+ */
+export function recordRelayStats(env, { bytes, chunks, messages, duration }) {
+    // random values are only available while handling a request, so the ID can't be made at module load
+    isolateID ||= crypto.randomUUID();
+    isolateStats.connections++;
+    isolateStats.bytes += bytes;
+    isolateStats.chunks += chunks;
+    isolateStats.messages += messages;
+    isolateStats.duration += duration;
+
+    const now = Date.now();
+    if (now - lastWrite < STATS_WRITE_INTERVAL) return;
+    lastWrite = now;
+    env.kv.put(`${STATS_PREFIX}${isolateID}`, '', { metadata: { ...isolateStats, updatedAt: now }, expirationTtl: STATS_TTL })
+        .catch(error => console.log('Writing relay stats failed:', error));
+}
+
+/**
+ * Sums the relay totals of the isolates that wrote them within the last day.
+ * @param {object} env The worker environment.
+ * @returns {Promise<{isolates: number, connections: number, bytes: number, chunks: number, messages: number, duration: number, updatedAt: number | null}>}
+ */
+export async function getRelayStats(env) {
+    try {
+        const stats = { isolates: 0, connections: 0, bytes: 0, chunks: 0, messages: 0, duration: 0, updatedAt: null };
+        let cursor;
+        do {
+            const page = await env.kv.list({ prefix: STATS_PREFIX, cursor });
+            page.keys.forEach(({ metadata }) => {
+                if (!metadata) return;
+                stats.isolates++;
+                ['connections', 'bytes', 'chunks', 'messages', 'duration'].forEach(field => stats[field] += metadata[field] || 0);
+                stats.updatedAt = Math.max(stats.updatedAt || 0, metadata.updatedAt || 0) || null;
+            });
+
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+
+        return stats;
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting relay stats - ${error}`);
+    }
+}
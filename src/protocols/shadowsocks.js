@@ -0,0 +1,239 @@
+import { handleWSProxy } from './transport';
+
+// Only aes-256-gcm is offered: the Workers WebCrypto API has AES-GCM but no ChaCha20-Poly1305.
+const KEY_SIZE = 32;
+const SALT_SIZE = 32;
+const TAG_SIZE = 16;
+const MAX_PAYLOAD_SIZE = 0x3fff;
+
+/**
+ * Shadowsocks encrypts the whole client stream, so it is decrypted by the transport's decoder hook
+ * and the header is parsed from the first decrypted payload.
+ * @type {import('./transport').ProxyProtocol}
+ */
+const SSProtocol = {
+    async createDecoder(credentials) {
+        return createSSDecoder(await Promise.all(credentials.map(async credential => ({
+            ...credential,
+            masterKey: await deriveMasterKey(credential.trPassword)
+        }))));
+    },
+    async parseHeader(payload, credentials, decoder) {
+        const header = parseSSHeader(payload);
+        if (header.hasError) return header;
+        return {
+            ...header,
+            credential: decoder.credential,
+            encode: await createSSEncoder(decoder.credential.masterKey),
+        };
+    },
+};
+
+/**
+ * Handles Shadowsocks (AEAD, aes-256-gcm) over WebSocket, as sent by v2ray-plugin or Xray's ws transport.
+ * Every credential's Trojan password doubles as its Shadowsocks password. Only TCP is relayed.
+ * @param {import("@cloudflare/workers-types").Request} request The incoming request object.
+ * @param {object} env The worker environment.
+ * @returns {Promise<Response>} A Promise that resolves to a WebSocket response object.
+ */
+export async function SSOverWSHandler(request, env) {
+    return await handleWSProxy(request, env, SSProtocol);
+}
+
+/**
+ * Parses the target address at the start of the first decrypted payload: ATYP | address | port.
+ * @param {Uint8Array} payload The first decrypted payload.
+ */
+function parseSSHeader(payload) {
+    if (payload.byteLength < 7) {
+        return {
+            hasError: true,
+            message: "invalid data",
+        };
+    }
+
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const atype = view.getUint8(0);
+    // 0x01: IPv4 address
+    // 0x03: Domain name
+    // 0x04: IPv6 address
+    let addressLength = 0;
+    let addressIndex = 1;
+    let address = "";
+    switch (atype) {
+        case 1:
+            addressLength = 4;
+            address = payload.slice(addressIndex, addressIndex + addressLength).join(".");
+            break;
+        case 3:
+            addressLength = payload[addressIndex];
+            addressIndex += 1;
+            address = new TextDecoder().decode(payload.slice(addressIndex, addressIndex + addressLength));
+            break;
+        case 4:
+            addressLength = 16;
+            const ipv6 = [];
+            for (let i = 0; i < 8; i++) {
+                ipv6.push(view.getUint16(addressIndex + i * 2).toString(16));
+            }
+            address = ipv6.join(":");
+            break;
+        default:
+            return {
+                hasError: true,
+                message: `invalid addressType is ${atype}`,
+            };
+    }
+
+    const portIndex = addressIndex + addressLength;
+    if (!address || payload.byteLength < portIndex + 2) {
+        return {
+            hasError: true,
+            message: `address is empty or truncated, addressType is ${atype}`,
+        };
+    }
+
+    return {
+        hasError: false,
+        addressRemote: address,
+        portRemote: view.getUint16(portIndex),
+        rawClientData: payload.slice(portIndex + 2),
+    };
+}
+
+/**
+ * Derives the master key from a password the way Shadowsocks does (OpenSSL EVP_BytesToKey with MD5).
+ * MD5 is not part of standard WebCrypto, but the Workers runtime supports it in digest().
+ * @param {string} password The Shadowsocks password.
+ * @returns {Promise<Uint8Array>}
+ */
+async function deriveMasterKey(password) {
+    const passwordBytes = new TextEncoder().encode(password);
+    const key = new Uint8Array(KEY_SIZE);
+    let previous = new Uint8Array(0);
+    for (let offset = 0; offset < KEY_SIZE; offset += previous.byteLength) {
+        const input = new Uint8Array(previous.byteLength + passwordBytes.byteLength);
+        input.set(previous);
+        input.set(passwordBytes, previous.byteLength);
+        previous = new Uint8Array(await crypto.subtle.digest('MD5', input));
+        key.set(previous.slice(0, KEY_SIZE - offset), offset);
+    }
+
+    return key;
+}
+
+async function deriveSubkey(masterKey, salt) {
+    const hkdfKey = await crypto.subtle.importKey('raw', masterKey, 'HKDF', false, ['deriveKey']);
+    return await crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-1', salt, info: new TextEncoder().encode('ss-subkey') },
+        hkdfKey,
+        { name: 'AES-GCM', length: KEY_SIZE * 8 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Wraps a session subkey with the little-endian nonce counter that Shadowsocks AEAD increments after every operation.
+ * The nonce is taken and incremented before awaiting, so concurrent calls never reuse one.
+ * @param {CryptoKey} subkey The AES-GCM session subkey.
+ */
+function createAEAD(subkey) {
+    const nonce = new Uint8Array(12);
+    const run = async (operation, data) => {
+        const iv = nonce.slice();
+        // the postfix value is the byte before it wrapped, which is when the carry moves on
+        for (let i = 0; i < nonce.length && nonce[i]++ === 0xff; i++);
+        const result = await crypto.subtle[operation]({ name: 'AES-GCM', iv, tagLength: TAG_SIZE * 8 }, subkey, data);
+        return new Uint8Array(result);
+    };
+
+    return {
+        encrypt: data => run('encrypt', data),
+        decrypt: data => run('decrypt', data),
+    };
+}
+
+/**
+ * Creates a decoder for the client stream: salt, then [encrypted length][encrypted payload] chunks.
+ * The salt's credential is found by trying each one on the first length chunk; `credential` is set once it matches.
+ * @param {{masterKey: Uint8Array, user: object | null}[]} credentials The accepted credentials with derived master keys.
+ */
+function createSSDecoder(credentials) {
+    let pending = new Uint8Array(0);
+    let decipher = null;
+    let payloadLength = null;
+
+    const decoder = {
+        credential: null,
+        async push(chunk) {
+            const data = new Uint8Array(pending.byteLength + chunk.byteLength);
+            data.set(pending);
+            data.set(new Uint8Array(chunk), pending.byteLength);
+            pending = data;
+            const payloads = [];
+
+            if (!decipher) {
+                if (pending.byteLength < SALT_SIZE + 2 + TAG_SIZE) return payloads;
+                const salt = pending.slice(0, SALT_SIZE);
+                const lengthChunk = pending.slice(SALT_SIZE, SALT_SIZE + 2 + TAG_SIZE);
+                for (const credential of credentials) {
+                    const aead = createAEAD(await deriveSubkey(credential.masterKey, salt));
+                    try {
+                        const length = await aead.decrypt(lengthChunk);
+                        payloadLength = ((length[0] << 8) | length[1]) & MAX_PAYLOAD_SIZE;
+                        decipher = aead;
+                        decoder.credential = credential;
+                        break;
+                    } catch {
+                        continue;
+                    }
+                }
+
+                if (!decipher) throw new Error("invalid password");
+                pending = pending.slice(SALT_SIZE + 2 + TAG_SIZE);
+            }
+
+            while (true) {
+                if (payloadLength === null) {
+                    if (pending.byteLength < 2 + TAG_SIZE) break;
+                    const length = await decipher.decrypt(pending.slice(0, 2 + TAG_SIZE));
+                    payloadLength = ((length[0] << 8) | length[1]) & MAX_PAYLOAD_SIZE;
+                    pending = pending.slice(2 + TAG_SIZE);
+                }
+
+                if (pending.byteLength < payloadLength + TAG_SIZE) break;
+                payloads.push(await decipher.decrypt(pending.slice(0, payloadLength + TAG_SIZE)));
+                pending = pending.slice(payloadLength + TAG_SIZE);
+                payloadLength = null;
+            }
+
+            return payloads;
+        }
+    };
+
+    return decoder;
+}
+
+/**
+ * Creates the encoder for the server stream, which uses its own random salt sent ahead of the first chunk.
+ * @param {Uint8Array} masterKey The master key of the credential the client connected with.
+ * @returns {Promise<(data: Uint8Array) => Promise<Uint8Array>>}
+ */
+async function createSSEncoder(masterKey) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_SIZE));
+    const cipher = createAEAD(await deriveSubkey(masterKey, salt));
+    let isSaltSent = false;
+
+    return async (data) => {
+        const parts = isSaltSent ? [] : [salt];
+        isSaltSent = true;
+        for (let offset = 0; offset < data.byteLength; offset += MAX_PAYLOAD_SIZE) {
+            const payload = data.slice(offset, offset + MAX_PAYLOAD_SIZE);
+            const length = new Uint8Array([payload.byteLength >> 8, payload.byteLength & 0xff]);
+            parts.push(await cipher.encrypt(length), await cipher.encrypt(payload));
+        }
+
+        return new Uint8Array(await new Blob(parts).arrayBuffer());
+    };
+}
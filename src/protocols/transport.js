@@ -0,0 +1,596 @@
+import { connect } from 'cloudflare:sockets';
+import { connectViaUpstream } from './upstream';
+import { monitorProxyIP, parseProxyIP, reportProxyIP, selectProxyIP } from './proxyip';
+import { checkDestination } from './acl';
+import { getActiveCredentials } from '../users/users';
+import { checkUserLimits, createTrafficCounter } from '../users/traffic';
+import { recordRelayStats } from './relaystats';
+
+export const WS_READY_STATE_OPEN = 1;
+export const WS_READY_STATE_CLOSING = 2;
+// remote data is coalesced until this many bytes are pending, unless a chunk is already this big
+const COALESCE_SIZE = 16 * 1024;
+const COALESCE_CHUNK_SIZE = 4 * 1024;
+
+/**
+ * @typedef {object} ProxyHeader
+ * @property {boolean} hasError
+ * @property {string} [message] The reason the header was rejected.
+ * @property {string} [addressRemote]
+ * @property {number} [portRemote]
+ * @property {ArrayBuffer} [rawClientData] Client data that followed the header in the same chunk.
+ * @property {{uuid: string, trPassword: string, user: object | null}} [credential] The credential the client authenticated with.
+ * @property {'tcp' | 'udp' | 'mux'} [network]
+ * @property {(chunk: Uint8Array) => Promise<ArrayBuffer | Uint8Array>} [encode] Transforms remote data before it is sent to the client, e.g. to prepend a response header.
+ */
+
+/**
+ * @typedef {object} ProxyProtocol
+ * @property {(chunk: ArrayBuffer | Uint8Array, credentials: object[], decoder: StreamDecoder | null) => ProxyHeader | Promise<ProxyHeader>} parseHeader
+ * Parses the first client chunk, or the first decoded payload for protocols with a decoder.
+ * @property {(env: object, header: ProxyHeader, webSocket: WebSocket, log: function, traffic: object | null) => Promise<{write: function, close?: function}>} [openStream]
+ * Takes over the connection for headers whose network is not TCP.
+ * @property {(credentials: object[]) => Promise<StreamDecoder>} [createDecoder] For protocols that encrypt the whole client stream:
+ * creates the decoder every client chunk goes through before it is parsed or relayed.
+ */
+
+/**
+ * @typedef {object} StreamDecoder
+ * @property {(chunk: ArrayBuffer) => Promise<Uint8Array[]>} push Decodes a client chunk into the complete payloads it finishes, if any.
+ */
+
+/**
+ * Accepts a proxy WebSocket and relays it according to the protocol's header parser:
+ * authenticates the first chunk, applies the user's limits and traffic counter, then either dials
+ * the TCP destination or hands the connection to the protocol's own UDP / mux stream.
+ * Protocols with a decoder have every client chunk decoded first, and only complete payloads are relayed.
+ * @param {import("@cloudflare/workers-types").Request} request The incoming request object.
+ * @param {object} env The worker environment.
+ * @param {ProxyProtocol} protocol The protocol's header parser and stream handlers.
+ * @returns {Promise<Response>} A Promise that resolves to a WebSocket response object.
+ */
+export async function handleWSProxy(request, env, protocol) {
+    /** @type {import("@cloudflare/workers-types").WebSocket[]} */
+    // @ts-ignore
+    const webSocketPair = new WebSocketPair();
+    const [client, webSocket] = Object.values(webSocketPair);
+    webSocket.accept();
+    let address = "";
+    let portWithRandomLog = "";
+    const log = (/** @type {string} */ info, /** @type {string | undefined} */ event) => {
+        console.log(`[${address}:${portWithRandomLog}] ${info}`, event || "");
+    };
+    const earlyDataHeader = request.headers.get("sec-websocket-protocol") || "";
+    const readableWebSocketStream = makeReadableWebSocketStream(webSocket, earlyDataHeader, log);
+
+    /** @type {{ value: import("@cloudflare/workers-types").Socket | null}}*/
+    let remoteSocketWapper = {
+        value: null,
+    };
+    let stream = null;
+    let traffic = null;
+    let decoder = null;
+    let credentials = null;
+    const cleanup = () => {
+        idle.stop();
+        stream?.close?.();
+        traffic?.close();
+    };
+
+    const idle = createIdleWatchdog(idleTimeout, () => {
+        log(`no traffic for ${idleTimeout / 1000}s, closing`);
+        remoteSocketWapper.value?.close();
+        safeCloseWebSocket(webSocket);
+        cleanup();
+    });
+
+    // counts bytes for the user's quota and keeps the idle watchdog from firing
+    const meter = {
+        addUpload(bytes) {
+            idle.touch();
+            traffic?.addUpload(bytes);
+        },
+        addDownload(bytes) {
+            idle.touch();
+            traffic?.addDownload(bytes);
+        },
+    };
+
+    // relays one client chunk, or decoded payload, once the connection is set up, otherwise sets it up from its header
+    const relay = async (chunk) => {
+        if (stream) {
+            meter.addUpload(chunk.byteLength);
+            return await stream.write(chunk);
+        }
+
+        if (remoteSocketWapper.value) {
+            meter.addUpload(chunk.byteLength);
+            remoteSocketWapper.unanswered?.push(chunk);
+            const writer = remoteSocketWapper.value.writable.getWriter();
+            await writer.write(chunk);
+            writer.releaseLock();
+            return;
+        }
+
+        credentials ||= await getActiveCredentials(env);
+        const header = await protocol.parseHeader(chunk, credentials, decoder);
+        const {
+            hasError,
+            message,
+            portRemote = 443,
+            addressRemote = "",
+            rawClientData,
+            credential,
+            network = 'tcp',
+        } = header;
+
+        address = addressRemote;
+        portWithRandomLog = `${portRemote}--${Math.random()} ${network} `;
+        if (hasError) {
+            // controller.error(message);
+            throw new Error(message); // cf seems has bug, controller.error will not end stream
+        }
+
+        if (credential.user) {
+            const limitError = await checkUserLimits(env, credential.user);
+            if (limitError) throw new Error(limitError);
+            traffic = createTrafficCounter(env, credential.user);
+        }
+
+        meter.addUpload(chunk.byteLength);
+        if (network !== 'tcp') {
+            stream = await protocol.openStream(env, header, webSocket, log, meter);
+            return await stream.write(rawClientData);
+        }
+
+        await handleTCPOutBound(
+            env,
+            remoteSocketWapper,
+            addressRemote,
+            portRemote,
+            rawClientData,
+            webSocket,
+            header.encode,
+            log,
+            meter
+        );
+    };
+
+    // ws --> remote
+    readableWebSocketStream
+        .pipeTo(
+            new WritableStream({
+                async write(chunk, controller) {
+                    if (!protocol.createDecoder) return await relay(chunk);
+                    credentials ||= await getActiveCredentials(env);
+                    decoder ||= await protocol.createDecoder(credentials);
+                    for (const payload of await decoder.push(chunk)) {
+                        await relay(payload);
+                    }
+                },
+                close() {
+                    log(`readableWebSocketStream is close`);
+                    cleanup();
+                },
+                abort(reason) {
+                    log(`readableWebSocketStream is abort`, JSON.stringify(reason));
+                    cleanup();
+                },
+            })
+        )
+        .catch((err) => {
+            log("readableWebSocketStream pipeTo error", err);
+            cleanup();
+        });
+
+    return new Response(null, {
+        status: 101,
+        // @ts-ignore
+        webSocket: client,
+    });
+}
+
+/**
+ * Opens a TCP connection to the destination, either directly or through the upstream proxy.
+ * Direct IPv4 destinations are dialled by an sslip.io name, since connect() refuses some raw IPs.
+ * Gives up after the panel's connect timeout, closing the socket if it opens later.
+ * @param {string} address The destination address.
+ * @param {number} port The destination port.
+ * @param {boolean} viaUpstream Whether to dial through the upstream proxy.
+ * @returns {Promise<import("@cloudflare/workers-types").Socket>}
+ */
+export async function connectRemote(address, port, viaUpstream) {
+    const connecting = (async () => {
+        if (viaUpstream) return await connectViaUpstream(upstreamProxy, address, port);
+        let hostname = address;
+        if (/^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?).){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(hostname)) hostname = `${atob('d3d3Lg==')}${hostname}${atob('LnNzbGlwLmlv')}`;
+        const socket = connect({
+            hostname,
+            port: port,
+        });
+
+        await socket.opened;
+        return socket;
+    })();
+
+    if (!connectTimeout) return await connecting;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`connecting to ${address}:${port} timed out after ${connectTimeout / 1000}s`)), connectTimeout);
+    });
+
+    try {
+        return await Promise.race([connecting, timeout]);
+    } catch (error) {
+        connecting.then(socket => socket.close(), () => { });
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Calls onIdle once nothing has been touched for the given time. A timeout of 0 disables it.
+ * @param {number} timeout Milliseconds of inactivity before onIdle is called.
+ * @param {() => void} onIdle
+ * @returns {{touch: () => void, stop: () => void}}
+ */
+function createIdleWatchdog(timeout, onIdle) {
+    if (!timeout) return { touch() { }, stop() { } };
+    let lastActivity = Date.now();
+    let timer;
+    // rescheduling on expiry is cheaper than resetting a timer for every chunk
+    const check = () => {
+        const idleTime = Date.now() - lastActivity;
+        if (idleTime >= timeout) return onIdle();
+        timer = setTimeout(check, timeout - idleTime);
+    };
+
+    timer = setTimeout(check, timeout);
+    return {
+        touch() {
+            lastActivity = Date.now();
+        },
+        stop() {
+            clearTimeout(timer);
+        },
+    };
+}
+
+/**
+ * Handles outbound TCP connections.
+ *
+ * @param {object} env The worker environment.
+ * @param {any} remoteSocket
+ * @param {string} addressRemote The remote address to connect to.
+ * @param {number} portRemote The remote port to connect to.
+ * @param {Uint8Array} rawClientData The raw client data to write.
+ * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket to pass the remote socket to.
+ * @param {((chunk: Uint8Array) => Promise<ArrayBuffer | Uint8Array>) | undefined} encode Transforms remote data before it is sent to the client.
+ * @param {function} log The logging function.
+ * @param {{addDownload: (bytes: number) => void} | null} traffic The user's traffic counter, if any.
+ * @returns {Promise<void>} The remote socket.
+ */
+async function handleTCPOutBound(
+    env,
+    remoteSocket,
+    addressRemote,
+    portRemote,
+    rawClientData,
+    webSocket,
+    encode,
+    log,
+    traffic
+) {
+    const blockReason = checkDestination(addressRemote, portRemote);
+    if (blockReason) throw new Error(`access denied to ${addressRemote}:${portRemote}, ${blockReason}`);
+
+    // everything the client sent before the remote answered, so a retry can replay all of it
+    remoteSocket.unanswered = [rawClientData];
+    const onAnswered = () => {
+        remoteSocket.unanswered = null;
+    };
+
+    async function connectAndWrite(address, port, viaUpstream) {
+        /** @type {import("@cloudflare/workers-types").Socket} */
+        const tcpSocket = await connectRemote(address, port, viaUpstream);
+        log(`connected to ${address}:${port}${viaUpstream ? ' via upstream proxy' : ''}`);
+        remoteSocket.value = tcpSocket;
+        const { unanswered } = remoteSocket;
+        const writer = tcpSocket.writable.getWriter();
+        await writer.write(concatChunks(unanswered, unanswered.reduce((sum, chunk) => sum + chunk.byteLength, 0))); // first write, nomal is tls client hello
+        writer.releaseLock();
+        return tcpSocket;
+    }
+
+    // if the cf connect tcp socket have no incoming data, we retry to redirect ip
+    async function retry() {
+        let tcpSocket;
+        if (upstreamProxy && upstreamProxyMode === 'retry') {
+            tcpSocket = await connectAndWrite(addressRemote, portRemote, true);
+        } else {
+            const EncodedPanelProxyIPs = pathName.split('/')[2] || '';
+            const proxyIPs = atob(EncodedPanelProxyIPs) || globalThis.proxyIPs;
+            const proxyIP = await selectProxyIP(env, proxyIPs.split(',').map(ip => ip.trim()).filter(Boolean));
+            const { host, port } = parseProxyIP(proxyIP);
+            // proxy IPs can come from the client's path, so they get the same access rules as the destination
+            const retryAddress = host || addressRemote, retryPort = port || portRemote;
+            const retryBlockReason = checkDestination(retryAddress, retryPort);
+            if (retryBlockReason) throw new Error(`access denied to ${retryAddress}:${retryPort}, ${retryBlockReason}`);
+            try {
+                tcpSocket = monitorProxyIP(env, proxyIP, await connectAndWrite(retryAddress, retryPort));
+            } catch (error) {
+                reportProxyIP(env, proxyIP, false);
+                throw error;
+            }
+        }
+
+        // no matter retry success or not, close websocket
+        tcpSocket.closed
+            .catch((error) => {
+                console.log("retry tcpSocket closed error", error);
+            })
+            .finally(() => {
+                safeCloseWebSocket(webSocket);
+            });
+
+        remoteSocketToWS(env, tcpSocket, webSocket, encode, null, onAnswered, log, traffic);
+    }
+
+    let tcpSocket;
+    try {
+        tcpSocket = await connectAndWrite(addressRemote, portRemote, upstreamProxy && upstreamProxyMode === 'primary');
+    } catch (error) {
+        log(`${error.message || error}, retrying`);
+        return await retry();
+    }
+
+    // when remoteSocket is ready, pass to websocket
+    // remote--> ws
+    remoteSocketToWS(env, tcpSocket, webSocket, encode, retry, onAnswered, log, traffic);
+}
+
+/**
+ * Creates a readable stream from a WebSocket server, allowing for data to be read from the WebSocket.
+ * @param {import("@cloudflare/workers-types").WebSocket} webSocketServer The WebSocket server to create the readable stream from.
+ * @param {string} earlyDataHeader The header containing early data for WebSocket 0-RTT.
+ * @param {(info: string)=> void} log The logging function.
+ * @returns {ReadableStream} A readable stream that can be used to read data from the WebSocket.
+ */
+function makeReadableWebSocketStream(webSocketServer, earlyDataHeader, log) {
+    let readableStreamCancel = false;
+    const stream = new ReadableStream({
+        start(controller) {
+            webSocketServer.addEventListener("message", (event) => {
+                if (readableStreamCancel) {
+                    return;
+                }
+                const message = event.data;
+                controller.enqueue(message);
+            });
+
+            // The event means that the client closed the client -> server stream.
+            // However, the server -> client stream is still open until you call close() on the server side.
+            // The WebSocket protocol says that a separate close message must be sent in each direction to fully close the socket.
+            webSocketServer.addEventListener("close", () => {
+                // client send close, need close server
+                // if stream is cancel, skip controller.close
+                safeCloseWebSocket(webSocketServer);
+                if (readableStreamCancel) {
+                    return;
+                }
+                controller.close();
+            });
+            webSocketServer.addEventListener("error", (err) => {
+                log("webSocketServer has error");
+                controller.error(err);
+            });
+            // for ws 0rtt
+            const { earlyData, error } = base64ToArrayBuffer(earlyDataHeader);
+            if (error) {
+                controller.error(error);
+            } else if (earlyData) {
+                controller.enqueue(earlyData);
+            }
+        },
+        pull(controller) {
+            // if ws can stop read if stream is full, we can implement backpressure
+            // https://streams.spec.whatwg.org/#example-rs-push-backpressure
+        },
+        cancel(reason) {
+            // 1. pipe WritableStream has error, this cancel will called, so ws handle server close into here
+            // 2. if readableStream is cancel, all controller.close/enqueue need skip,
+            // 3. but from testing controller.error still work even if readableStream is cancel
+            if (readableStreamCancel) {
+                return;
+            }
+            log(`ReadableStream was canceled, due to ${reason}`);
+            readableStreamCancel = true;
+            safeCloseWebSocket(webSocketServer);
+        },
+    });
+
+    return stream;
+}
+
+/**
+ * Pipes the remote socket into the WebSocket, and retries through another route if the remote never answered.
+ * Small chunks are coalesced into fewer WebSocket messages. There is no flow control towards the client:
+ * workerd's WebSocket has no bufferedAmount and send() never blocks, so a slow client cannot be detected
+ * and the runtime buffers whatever the remote delivers. When the remote closes, the relay's metrics go into
+ * the relay stats shown in the panel.
+ * @param {object} env The worker environment, used to persist the relay stats.
+ * @param {import("@cloudflare/workers-types").Socket} remoteSocket The remote socket to read from.
+ * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket to send the data to.
+ * @param {((chunk: Uint8Array) => Promise<ArrayBuffer | Uint8Array>) | undefined} encode Transforms remote data before it is sent to the client.
+ * @param {(() => Promise<void>) | null} retry The function to call if the remote socket closes without data.
+ * @param {() => void} onAnswered Called when the first data arrives from the remote.
+ * @param {(info: string) => void} log The logging function.
+ * @param {{addDownload: (bytes: number) => void} | null} traffic The user's traffic counter, if any.
+ * @returns {Promise<PumpMetrics>} A Promise that resolves with the transfer metrics when the conversion is complete.
+ */
+async function remoteSocketToWS(env, remoteSocket, webSocket, encode, retry, onAnswered, log, traffic) {
+    let hasIncomingData = false; // check if remoteSocket has incoming data
+    const metrics = createPumpMetrics();
+    let pending = [];
+    let pendingBytes = 0;
+    let flushTimer = null;
+    let sending = Promise.resolve();
+    let isFirstByteTimedOut = false;
+    // a silent destination is given up early, so the retry route gets a chance before the client does
+    const firstByteTimer = retry && firstByteTimeout && setTimeout(() => {
+        isFirstByteTimedOut = true;
+        log(`no data from remote within ${firstByteTimeout / 1000}s`);
+        remoteSocket.close();
+    }, firstByteTimeout);
+
+    const sendToWS = async (data) => {
+        if (webSocket.readyState !== WS_READY_STATE_OPEN) {
+            throw new Error("webSocket.readyState is not open, maybe close");
+        }
+
+        webSocket.send(encode ? await encode(data) : data);
+        metrics.messages++;
+    };
+
+    // sends are chained so encoders with state (VL header, SS nonce) see the data in order
+    const flush = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (!pendingBytes) return sending;
+        const data = concatChunks(pending, pendingBytes);
+        pending = [];
+        pendingBytes = 0;
+        sending = sending.then(() => sendToWS(data));
+        return sending;
+    };
+
+    await remoteSocket.readable
+        .pipeTo(
+            new WritableStream({
+                start() { },
+                /**
+                 *
+                 * @param {Uint8Array} chunk
+                 * @param {*} controller
+                 */
+                async write(chunk, controller) {
+                    // waiting for the previous send keeps the data the worker holds to one coalesced message
+                    await sending;
+                    clearTimeout(firstByteTimer);
+                    hasIncomingData || onAnswered();
+                    hasIncomingData = true;
+                    traffic?.addDownload(chunk.byteLength);
+                    metrics.bytes += chunk.byteLength;
+                    metrics.chunks++;
+                    pending.push(chunk);
+                    pendingBytes += chunk.byteLength;
+
+                    if (pendingBytes >= COALESCE_SIZE || chunk.byteLength >= COALESCE_CHUNK_SIZE) {
+                        await flush();
+                    } else if (!flushTimer) {
+                        flushTimer = setTimeout(() => flush().catch(() => { }), 0);
+                    }
+                },
+                async close() {
+                    await flush();
+                    log(`remoteConnection!.readable is close with hasIncomingData is ${hasIncomingData}`);
+                    // safeCloseWebSocket(webSocket); // no need server close websocket frist for some case will casue HTTP ERR_CONTENT_LENGTH_MISMATCH issue, client will send close event anyway.
+                },
+                abort(reason) {
+                    clearTimeout(flushTimer);
+                    console.error(`remoteConnection!.readable abort`, reason);
+                },
+            })
+        )
+        .catch((error) => {
+            console.error(`remoteSocketToWS has exception `, error.stack || error);
+            isFirstByteTimedOut || safeCloseWebSocket(webSocket);
+        });
+
+    clearTimeout(firstByteTimer);
+
+    metrics.duration = Date.now() - metrics.startTime;
+    if (hasIncomingData) {
+        log(formatPumpMetrics(metrics));
+        recordRelayStats(env, metrics);
+    }
+
+    // seems is cf connect socket have error,
+    // 1. Socket.closed will have error
+    // 2. Socket.readable will be close without any data coming
+    if (hasIncomingData === false && retry) {
+        log(`retry`);
+        retry().catch((error) => {
+            log(`retry failed: ${error.message || error}`);
+            safeCloseWebSocket(webSocket);
+        });
+    }
+
+    return metrics;
+}
+
+/**
+ * @typedef {object} PumpMetrics
+ * @property {number} startTime When the pump started, in milliseconds since the epoch.
+ * @property {number} duration How long the pump ran, in milliseconds.
+ * @property {number} bytes Bytes read from the remote.
+ * @property {number} chunks Chunks read from the remote.
+ * @property {number} messages WebSocket messages sent after coalescing.
+ */
+
+/** @returns {PumpMetrics} */
+function createPumpMetrics() {
+    return { startTime: Date.now(), duration: 0, bytes: 0, chunks: 0, messages: 0 };
+}
+
+function formatPumpMetrics({ duration, bytes, chunks, messages }) {
+    const throughput = duration ? Math.round(bytes / duration * 1000 / 1024) : 0;
+    return `remote to ws: ${bytes} bytes in ${chunks} chunks / ${messages} messages, ${throughput} KB/s over ${duration}ms`;
+}
+
+function concatChunks(chunks, byteLength) {
+    if (chunks.length === 1) return chunks[0];
+    const data = new Uint8Array(byteLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+        data.set(new Uint8Array(chunk), offset);
+        offset += chunk.byteLength;
+    }
+
+    return data;
+}
+
+/**
+ * Decodes a base64 string into an ArrayBuffer.
+ * @param {string} base64Str The base64 string to decode.
+ * @returns {{earlyData: ArrayBuffer|null, error: Error|null}} An object containing the decoded ArrayBuffer or null if there was an error, and any error that occurred during decoding or null if there was no error.
+ */
+function base64ToArrayBuffer(base64Str) {
+    if (!base64Str) {
+        return { earlyData: null, error: null };
+    }
+    try {
+        // go use modified Base64 for URL rfc4648 which js atob not support
+        base64Str = base64Str.replace(/-/g, '+').replace(/_/g, '/');
+        const decode = atob(base64Str);
+        const arryBuffer = Uint8Array.from(decode, (c) => c.charCodeAt(0));
+        return { earlyData: arryBuffer.buffer, error: null };
+    } catch (error) {
+        return { earlyData: null, error };
+    }
+}
+
+/**
+ * Closes a WebSocket connection safely without throwing exceptions.
+ * @param {import("@cloudflare/workers-types").WebSocket} socket The WebSocket connection to close.
+ */
+export function safeCloseWebSocket(socket) {
+    try {
+        if (socket.readyState === WS_READY_STATE_OPEN || socket.readyState === WS_READY_STATE_CLOSING) {
+            socket.close();
+        }
+    } catch (error) {
+        console.error('safeCloseWebSocket error', error);
+    }
+}
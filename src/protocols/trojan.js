@@ -1,75 +1,28 @@
-import { connect } from 'cloudflare:sockets';
 import { sha224 } from 'js-sha256';
-
-export async function TROverWSHandler(request) {
-    const webSocketPair = new WebSocketPair();
-    const [client, webSocket] = Object.values(webSocketPair);
-    webSocket.accept();
-    let address = "";
-    let portWithRandomLog = "";
-    const log = (info, event) => {
-        console.log(`[${address}:${portWithRandomLog}] ${info}`, event || "");
-    };
-    const earlyDataHeader = request.headers.get("sec-websocket-protocol") || "";
-    const readableWebSocketStream = makeReadableWebSocketStream(webSocket, earlyDataHeader, log);
-    let remoteSocketWapper = {
-        value: null,
-    };
-    let udpStreamWrite = null;
-
-    readableWebSocketStream
-        .pipeTo(
-            new WritableStream({
-                async write(chunk, controller) {
-                    if (udpStreamWrite) {
-                        return udpStreamWrite(chunk);
-                    }
-
-                    if (remoteSocketWapper.value) {
-                        const writer = remoteSocketWapper.value.writable.getWriter();
-                        await writer.write(chunk);
-                        writer.releaseLock();
-                        return;
-                    }
-
-                    const {
-                        hasError,
-                        message,
-                        portRemote = 443,
-                        addressRemote = "",
-                        rawClientData,
-                    } = await parseTRHeader(chunk);
-
-                    address = addressRemote;
-                    portWithRandomLog = `${portRemote}--${Math.random()} tcp`;
-
-                    if (hasError) {
-                        throw new Error(message);
-                        // return;
-                    }
-
-                    handleTCPOutBound(remoteSocketWapper, addressRemote, portRemote, rawClientData, webSocket, log);
-                },
-                close() {
-                    log(`readableWebSocketStream is closed`);
-                },
-                abort(reason) {
-                    log(`readableWebSocketStream is aborted`, JSON.stringify(reason));
-                },
-            })
-        )
-        .catch((err) => {
-            log("readableWebSocketStream pipeTo error", err);
-        });
-
-    return new Response(null, {
-        status: 101,
-        // @ts-ignore
-        webSocket: client,
-    });
+import { queryDoH } from './doh';
+import { handleWSProxy, safeCloseWebSocket, WS_READY_STATE_OPEN } from './transport';
+
+/** @type {import('./transport').ProxyProtocol} */
+const TRProtocol = {
+    async parseHeader(chunk, credentials) {
+        const header = await parseTRHeader(chunk, credentials.map(({ trPassword }) => trPassword));
+        if (header.hasError) return header;
+        return {
+            ...header,
+            credential: credentials.find(({ trPassword }) => trPassword === header.TRPassword),
+            network: header.isUDP ? 'udp' : 'tcp',
+        };
+    },
+    async openStream(env, header, webSocket, log, traffic) {
+        return handleUDPOutBound(env, webSocket, log, traffic);
+    },
+};
+
+export async function TROverWSHandler(request, env) {
+    return await handleWSProxy(request, env, TRProtocol);
 }
 
-async function parseTRHeader(buffer) {
+async function parseTRHeader(buffer, passwords) {
     if (buffer.byteLength < 56) {
         return {
             hasError: true,
@@ -86,7 +39,8 @@ async function parseTRHeader(buffer) {
     }
 
     const password = new TextDecoder().decode(buffer.slice(0, crLfIndex));
-    if (password !== sha224(globalThis.TRPassword)) {
+    const TRPassword = passwords.find(TRPassword => password === sha224(TRPassword));
+    if (!TRPassword) {
         return {
             hasError: true,
             message: "invalid password",
@@ -103,10 +57,12 @@ async function parseTRHeader(buffer) {
 
     const view = new DataView(socks5DataBuffer);
     const cmd = view.getUint8(0);
-    if (cmd !== 1) {
+    // 0x01: TCP (CONNECT)
+    // 0x03: UDP (UDP ASSOCIATE)
+    if (cmd !== 1 && cmd !== 3) {
         return {
             hasError: true,
-            message: "unsupported command, only TCP (CONNECT) is allowed",
+            message: `unsupported command ${cmd}, only TCP (CONNECT) and UDP (UDP ASSOCIATE) are allowed`,
         };
     }
 
@@ -158,213 +114,124 @@ async function parseTRHeader(buffer) {
         addressRemote: address,
         portRemote,
         rawClientData: socks5DataBuffer.slice(portIndex + 4),
+        isUDP: cmd === 3,
+        TRPassword,
     };
 }
 
 /**
- * Handles outbound TCP connections.
+ * Handles Trojan UDP packets. Each packet is framed as ATYP | address | port | length | CRLF | payload
+ * in both directions and may be split across WebSocket messages, so partial frames are kept until complete.
+ * Only DNS (port 53) is relayed, through the same DoH path as VL, with queries pipelined and answered in order.
+ * Other packets and failed queries are dropped, while a malformed frame closes the connection.
  *
- * @param {any} remoteSocket
- * @param {string} addressRemote The remote address to connect to.
- * @param {number} portRemote The remote port to connect to.
- * @param {Uint8Array} rawClientData The raw client data to write.
- * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket to pass the remote socket to.
- * @param {function} log The logging function.
- * @returns {Promise<void>} The remote socket.
- */
-async function handleTCPOutBound(
-    remoteSocket,
-    addressRemote,
-    portRemote,
-    rawClientData,
-    webSocket,
-    log
-) {
-    async function connectAndWrite(address, port) {
-        if (/^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?).){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(address)) address = `${atob('d3d3Lg==')}${address}${atob('LnNzbGlwLmlv')}`;
-        /** @type {import("@cloudflare/workers-types").Socket} */
-        const tcpSocket = connect({
-            hostname: address,
-            port: port,
-        });
-        remoteSocket.value = tcpSocket;
-        log(`connected to ${address}:${port}`);
-        const writer = tcpSocket.writable.getWriter();
-        await writer.write(rawClientData); // first write, nomal is tls client hello
-        writer.releaseLock();
-        return tcpSocket;
-    }
-
-    // if the cf connect tcp socket have no incoming data, we retry to redirect ip
-    async function retry() {
-        let proxyIP, proxyIpPort;
-        const EncodedPanelProxyIPs = pathName.split('/')[2] || '';
-        const proxyIPs = atob(EncodedPanelProxyIPs) || globalThis.proxyIPs;
-        const finalProxyIPs = proxyIPs.split(',').map(ip => ip.trim());
-        proxyIP = finalProxyIPs[Math.floor(Math.random() * finalProxyIPs.length)];
-        if (proxyIP.includes(']:')) {
-            const match = proxyIP.match(/^(\[.*?\]):(\d+)$/);
-            proxyIP = match[1];
-            proxyIpPort = +match[2];
-        }
-
-        if (proxyIP.split(':').length === 2) {
-            proxyIP = proxyIP.split(':')[0];
-            proxyIpPort = +proxyIP.split(':')[1];
-        }
-
-        const tcpSocket = await connectAndWrite(proxyIP || addressRemote, proxyIpPort || portRemote);
-        // no matter retry success or not, close websocket
-        tcpSocket.closed
-            .catch((error) => {
-                console.log("retry tcpSocket closed error", error);
-            })
-            .finally(() => {
-                safeCloseWebSocket(webSocket);
-            });
-
-        TRRemoteSocketToWS(tcpSocket, webSocket, null, log);
-    }
-
-    const tcpSocket = await connectAndWrite(addressRemote, portRemote);
-
-    // when remoteSocket is ready, pass to websocket
-    // remote--> ws
-    TRRemoteSocketToWS(tcpSocket, webSocket, retry, log);
-}
-
-/**
- * Creates a readable stream from a WebSocket server, allowing for data to be read from the WebSocket.
- * @param {import("@cloudflare/workers-types").WebSocket} webSocketServer The WebSocket server to create the readable stream from.
- * @param {string} earlyDataHeader The header containing early data for WebSocket 0-RTT.
- * @param {(info: string)=> void} log The logging function.
- * @returns {ReadableStream} A readable stream that can be used to read data from the WebSocket.
+ * @param {object} env The worker environment.
+ * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket to send the DNS responses to.
+ * @param {(string) => void} log The logging function.
+ * @param {{addDownload: (bytes: number) => void} | null} traffic The user's traffic counter, if any.
+ * @returns {{write: (chunk: ArrayBuffer) => void}} An object with a write method that accepts raw client data.
  */
-function makeReadableWebSocketStream(webSocketServer, earlyDataHeader, log) {
-    let readableStreamCancel = false;
-    const stream = new ReadableStream({
-        start(controller) {
-            webSocketServer.addEventListener("message", (event) => {
-                if (readableStreamCancel) {
-                    return;
+function handleUDPOutBound(env, webSocket, log, traffic) {
+    let pending = new Uint8Array(0);
+    const transformStream = new TransformStream({
+        transform(chunk, controller) {
+            const data = new Uint8Array(pending.byteLength + chunk.byteLength);
+            data.set(pending);
+            data.set(new Uint8Array(chunk), pending.byteLength);
+
+            let index = 0;
+            let packet;
+            while ((packet = parseTRUDPPacket(data.subarray(index)))) {
+                index += packet.size;
+                const { addressHeader, portRemote, payload } = packet;
+                if (portRemote !== 53) {
+                    log(`UDP packet to port ${portRemote} dropped, only DNS is supported`);
+                    continue;
                 }
-                const message = event.data;
-                controller.enqueue(message);
-            });
 
-            // The event means that the client closed the client -> server stream.
-            // However, the server -> client stream is still open until you call close() on the server side.
-            // The WebSocket protocol says that a separate close message must be sent in each direction to fully close the socket.
-            webSocketServer.addEventListener("close", () => {
-                // client send close, need close server
-                // if stream is cancel, skip controller.close
-                safeCloseWebSocket(webSocketServer);
-                if (readableStreamCancel) {
-                    return;
-                }
-                controller.close();
-            });
-            webSocketServer.addEventListener("error", (err) => {
-                log("webSocketServer has error");
-                controller.error(err);
-            });
-            // for ws 0rtt
-            const { earlyData, error } = base64ToArrayBuffer(earlyDataHeader);
-            if (error) {
-                controller.error(error);
-            } else if (earlyData) {
-                controller.enqueue(earlyData);
-            }
-        },
-        pull(controller) {
-            // if ws can stop read if stream is full, we can implement backpressure
-            // https://streams.spec.whatwg.org/#example-rs-push-backpressure
-        },
-        cancel(reason) {
-            // 1. pipe WritableStream has error, this cancel will called, so ws handle server close into here
-            // 2. if readableStream is cancel, all controller.close/enqueue need skip,
-            // 3. but from testing controller.error still work even if readableStream is cancel
-            if (readableStreamCancel) {
-                return;
+                controller.enqueue({
+                    addressHeader,
+                    dnsQuery: queryDoH(env, payload, log).catch((error) => {
+                        log(`doh query failed: ${error}`);
+                        return null;
+                    }),
+                });
             }
-            log(`ReadableStream was canceled, due to ${reason}`);
-            readableStreamCancel = true;
-            safeCloseWebSocket(webSocketServer);
+
+            pending = data.slice(index);
         },
     });
 
-    return stream;
-}
-
-async function TRRemoteSocketToWS(remoteSocket, webSocket, retry, log) {
-    let hasIncomingData = false;
-    await remoteSocket.readable
+    transformStream.readable
         .pipeTo(
             new WritableStream({
-                start() { },
-                /**
-                 *
-                 * @param {Uint8Array} chunk
-                 * @param {*} controller
-                 */
-                async write(chunk, controller) {
-                    hasIncomingData = true;
-                    if (webSocket.readyState !== WS_READY_STATE_OPEN) {
-                        controller.error("webSocket connection is not open");
+                async write({ addressHeader, dnsQuery }) {
+                    const dnsQueryResult = await dnsQuery;
+                    if (!dnsQueryResult) return;
+                    const udpSize = dnsQueryResult.byteLength;
+                    if (webSocket.readyState === WS_READY_STATE_OPEN) {
+                        log(`doh success and dns message length is ${udpSize}`);
+                        const lengthAndCRLF = new Uint8Array([(udpSize >> 8) & 0xff, udpSize & 0xff, 0x0d, 0x0a]);
+                        const response = await new Blob([addressHeader, lengthAndCRLF, dnsQueryResult]).arrayBuffer();
+                        traffic?.addDownload(response.byteLength);
+                        webSocket.send(response);
                     }
-                    webSocket.send(chunk);
-                },
-                close() {
-                    log(`remoteSocket.readable is closed, hasIncomingData: ${hasIncomingData}`);
-                },
-                abort(reason) {
-                    console.error("remoteSocket.readable abort", reason);
                 },
             })
         )
         .catch((error) => {
-            console.error(`trojanRemoteSocketToWS error:`, error.stack || error);
+            log("dns udp has error" + error);
             safeCloseWebSocket(webSocket);
         });
 
-    if (hasIncomingData === false && retry) {
-        log(`retry`);
-        retry();
-    }
-}
+    const writer = transformStream.writable.getWriter();
 
-/**
- * Decodes a base64 string into an ArrayBuffer.
- * @param {string} base64Str The base64 string to decode.
- * @returns {{earlyData: ArrayBuffer|null, error: Error|null}} An object containing the decoded ArrayBuffer or null if there was an error, and any error that occurred during decoding or null if there was no error.
- */
-function base64ToArrayBuffer(base64Str) {
-    if (!base64Str) {
-        return { earlyData: null, error: null };
-    }
-    try {
-        // go use modified Base64 for URL rfc4648 which js atob not support
-        base64Str = base64Str.replace(/-/g, '+').replace(/_/g, '/');
-        const decode = atob(base64Str);
-        const arryBuffer = Uint8Array.from(decode, (c) => c.charCodeAt(0));
-        return { earlyData: arryBuffer.buffer, error: null };
-    } catch (error) {
-        return { earlyData: null, error };
-    }
+    return {
+        write(chunk) {
+            // once a malformed frame has errored the stream, the pipe above closes the WebSocket and later writes are moot
+            writer.write(chunk).catch(() => { });
+        },
+    };
 }
 
-const WS_READY_STATE_OPEN = 1;
-const WS_READY_STATE_CLOSING = 2;
 /**
- * Closes a WebSocket connection safely without throwing exceptions.
- * @param {import("@cloudflare/workers-types").WebSocket} socket The WebSocket connection to close.
+ * Reads one Trojan UDP frame from the start of the buffer.
+ * @param {Uint8Array} buffer The buffered client data.
+ * @returns {{addressHeader: Uint8Array, portRemote: number, payload: Uint8Array, size: number} | null} The packet, or null if the frame is not complete yet.
  */
-function safeCloseWebSocket(socket) {
-    try {
-        if (socket.readyState === WS_READY_STATE_OPEN || socket.readyState === WS_READY_STATE_CLOSING) {
-            socket.close();
-        }
-    } catch (error) {
-        console.error('safeCloseWebSocket error', error);
+function parseTRUDPPacket(buffer) {
+    if (buffer.byteLength < 2) return null;
+
+    let addressLength = 0;
+    const atype = buffer[0];
+    switch (atype) {
+        case 1:
+            addressLength = 4;
+            break;
+        case 3:
+            addressLength = 1 + buffer[1];
+            break;
+        case 4:
+            addressLength = 16;
+            break;
+        default:
+            throw new Error(`invalid UDP addressType is ${atype}`);
     }
-}
\ No newline at end of file
+
+    const portIndex = 1 + addressLength;
+    const payloadIndex = portIndex + 6;
+    if (buffer.byteLength < payloadIndex) return null;
+    if (buffer[portIndex + 4] !== 0x0d || buffer[portIndex + 5] !== 0x0a) throw new Error("invalid UDP packet format (missing CR LF)");
+
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const portRemote = view.getUint16(portIndex);
+    const payloadLength = view.getUint16(portIndex + 2);
+    if (buffer.byteLength < payloadIndex + payloadLength) return null;
+
+    return {
+        addressHeader: buffer.slice(0, portIndex + 2),
+        portRemote,
+        payload: buffer.slice(payloadIndex, payloadIndex + payloadLength),
+        size: payloadIndex + payloadLength,
+    };
+}
@@ -1,259 +1,64 @@
-import { connect } from 'cloudflare:sockets';
 import { isValidUUID } from '../helpers/helpers';
+import { queryDoH } from './doh';
+import { handleMuxOutBound } from './mux';
+import { handleWSProxy, WS_READY_STATE_OPEN } from './transport';
 
 /**
- * Handles VL over WebSocket requests by creating a WebSocket pair, accepting the WebSocket connection, and processing the VL header.
- * @param {import("@cloudflare/workers-types").Request} request The incoming request object.
- * @returns {Promise<Response>} A Promise that resolves to a WebSocket response object.
+ * VL header parsing and the UDP / mux streams, plugged into the shared WebSocket transport.
+ * @type {import('./transport').ProxyProtocol}
  */
-export async function VLOverWSHandler(request) {
-    /** @type {import("@cloudflare/workers-types").WebSocket[]} */
-    // @ts-ignore
-    const webSocketPair = new WebSocketPair();
-    const [client, webSocket] = Object.values(webSocketPair);
-
-    webSocket.accept();
-
-    let address = "";
-    let portWithRandomLog = "";
-    const log = (/** @type {string} */ info, /** @type {string | undefined} */ event) => {
-        console.log(`[${address}:${portWithRandomLog}] ${info}`, event || "");
-    };
-    const earlyDataHeader = request.headers.get("sec-websocket-protocol") || "";
-
-    const readableWebSocketStream = makeReadableWebSocketStream(webSocket, earlyDataHeader, log);
-
-    /** @type {{ value: import("@cloudflare/workers-types").Socket | null}}*/
-    let remoteSocketWapper = {
-        value: null,
-    };
-    let udpStreamWrite = null;
-    let isDns = false;
-
-    // ws --> remote
-    readableWebSocketStream
-        .pipeTo(
-            new WritableStream({
-                async write(chunk, controller) {
-                    if (isDns && udpStreamWrite) {
-                        return udpStreamWrite(chunk);
-                    }
-                    if (remoteSocketWapper.value) {
-                        const writer = remoteSocketWapper.value.writable.getWriter();
-                        await writer.write(chunk);
-                        writer.releaseLock();
-                        return;
-                    }
-
-                    const {
-                        hasError,
-                        message,
-                        portRemote = 443,
-                        addressRemote = "",
-                        rawDataIndex,
-                        VLVersion = new Uint8Array([0, 0]),
-                        isUDP,
-                    } = processVLHeader(chunk, globalThis.userID);
-                    address = addressRemote;
-                    portWithRandomLog = `${portRemote}--${Math.random()} ${isUDP ? "udp " : "tcp "} `;
-                    if (hasError) {
-                        // controller.error(message);
-                        throw new Error(message); // cf seems has bug, controller.error will not end stream
-                        // webSocket.close(1000, message);
-                        // return;
-                    }
-                    // if UDP but port not DNS port, close it
-                    if (isUDP) {
-                        if (portRemote === 53) {
-                            isDns = true;
-                        } else {
-                            // controller.error('UDP proxy only enable for DNS which is port 53');
-                            throw new Error("UDP proxy only enable for DNS which is port 53"); // cf seems has bug, controller.error will not end stream
-                            // return;
-                        }
-                    }
-                    // ["version", "附加信息长度 N"]
-                    const VLResponseHeader = new Uint8Array([VLVersion[0], 0]);
-                    const rawClientData = chunk.slice(rawDataIndex);
-
-                    // TODO: support udp here when cf runtime has udp support
-                    if (isDns) {
-                        const { write } = await handleUDPOutBound(webSocket, VLResponseHeader, log);
-                        udpStreamWrite = write;
-                        udpStreamWrite(rawClientData);
-                        return;
-                    }
-
-                    handleTCPOutBound(
-                        remoteSocketWapper,
-                        addressRemote,
-                        portRemote,
-                        rawClientData,
-                        webSocket,
-                        VLResponseHeader,
-                        log
-                    );
-                },
-                close() {
-                    log(`readableWebSocketStream is close`);
-                },
-                abort(reason) {
-                    log(`readableWebSocketStream is abort`, JSON.stringify(reason));
-                },
-            })
-        )
-        .catch((err) => {
-            log("readableWebSocketStream pipeTo error", err);
-        });
-
-    return new Response(null, {
-        status: 101,
-        // @ts-ignore
-        webSocket: client,
-    });
-}
-
-/**
- * Handles outbound TCP connections.
- *
- * @param {any} remoteSocket
- * @param {string} addressRemote The remote address to connect to.
- * @param {number} portRemote The remote port to connect to.
- * @param {Uint8Array} rawClientData The raw client data to write.
- * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket to pass the remote socket to.
- * @param {Uint8Array} VLResponseHeader The VL response header.
- * @param {function} log The logging function.
- * @returns {Promise<void>} The remote socket.
- */
-async function handleTCPOutBound(
-    remoteSocket,
-    addressRemote,
-    portRemote,
-    rawClientData,
-    webSocket,
-    VLResponseHeader,
-    log
-) {
-    async function connectAndWrite(address, port) {
-        if (/^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?).){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(address)) address = `${atob('d3d3Lg==')}${address}${atob('LnNzbGlwLmlv')}`;
-        /** @type {import("@cloudflare/workers-types").Socket} */
-        const tcpSocket = connect({
-            hostname: address,
-            port: port,
-        });
-        remoteSocket.value = tcpSocket;
-        log(`connected to ${address}:${port}`);
-        const writer = tcpSocket.writable.getWriter();
-        await writer.write(rawClientData); // first write, nomal is tls client hello
-        writer.releaseLock();
-        return tcpSocket;
-    }
-
-    // if the cf connect tcp socket have no incoming data, we retry to redirect ip
-    async function retry() {
-        let proxyIP, proxyIpPort;
-        const EncodedPanelProxyIPs = pathName.split('/')[2] || '';
-        const proxyIPs = atob(EncodedPanelProxyIPs) || globalThis.proxyIPs;
-        const finalProxyIPs = proxyIPs.split(',').map(ip => ip.trim());
-        proxyIP = finalProxyIPs[Math.floor(Math.random() * finalProxyIPs.length)];
-        if (proxyIP.includes(']:')) {
-            const match = proxyIP.match(/^(\[.*?\]):(\d+)$/);
-            proxyIP = match[1];
-            proxyIpPort = +match[2];
-        }
-
-        if (proxyIP.split(':').length === 2) {
-            proxyIP = proxyIP.split(':')[0];
-            proxyIpPort = +proxyIP.split(':')[1];
+const VLProtocol = {
+    parseHeader(chunk, credentials) {
+        const header = processVLHeader(chunk, credentials.map(({ uuid }) => uuid));
+        if (header.hasError) return header;
+        const { rawDataIndex, VLVersion, isUDP, isMux, portRemote, userID } = header;
+
+        // if UDP but port not DNS port, close it
+        if (isUDP && portRemote !== 53) {
+            return {
+                hasError: true,
+                message: "UDP proxy only enable for DNS which is port 53",
+            };
         }
 
-        const tcpSocket = await connectAndWrite(proxyIP || addressRemote, proxyIpPort || portRemote);
-        // no matter retry success or not, close websocket
-        tcpSocket.closed
-            .catch((error) => {
-                console.log("retry tcpSocket closed error", error);
-            })
-            .finally(() => {
-                safeCloseWebSocket(webSocket);
-            });
-
-        VLRemoteSocketToWS(tcpSocket, webSocket, VLResponseHeader, null, log);
-    }
-
-    const tcpSocket = await connectAndWrite(addressRemote, portRemote);
-
-    // when remoteSocket is ready, pass to websocket
-    // remote--> ws
-    VLRemoteSocketToWS(tcpSocket, webSocket, VLResponseHeader, retry, log);
-}
+        // ["version", "附加信息长度 N"]
+        const VLResponseHeader = new Uint8Array([VLVersion[0], 0]);
+        let isVLHeaderSent = false;
+        return {
+            ...header,
+            rawClientData: chunk.slice(rawDataIndex),
+            credential: credentials.find(({ uuid }) => uuid === userID),
+            network: isMux ? 'mux' : isUDP ? 'udp' : 'tcp',
+            VLResponseHeader,
+            async encode(data) {
+                if (isVLHeaderSent) return data;
+                isVLHeaderSent = true;
+                return await new Blob([VLResponseHeader, data]).arrayBuffer();
+            },
+        };
+    },
+    async openStream(env, { network, VLResponseHeader }, webSocket, log, traffic) {
+        // TODO: support udp here when cf runtime has udp support
+        return network === 'mux'
+            ? handleMuxOutBound(env, webSocket, VLResponseHeader, log, traffic)
+            : await handleUDPOutBound(env, webSocket, VLResponseHeader, log, traffic);
+    },
+};
 
 /**
- * Creates a readable stream from a WebSocket server, allowing for data to be read from the WebSocket.
- * @param {import("@cloudflare/workers-types").WebSocket} webSocketServer The WebSocket server to create the readable stream from.
- * @param {string} earlyDataHeader The header containing early data for WebSocket 0-RTT.
- * @param {(info: string)=> void} log The logging function.
- * @returns {ReadableStream} A readable stream that can be used to read data from the WebSocket.
+ * Handles VL over WebSocket requests by creating a WebSocket pair, accepting the WebSocket connection, and processing the VL header.
+ * @param {import("@cloudflare/workers-types").Request} request The incoming request object.
+ * @param {object} env The worker environment, used to look up the accepted user credentials.
+ * @returns {Promise<Response>} A Promise that resolves to a WebSocket response object.
  */
-function makeReadableWebSocketStream(webSocketServer, earlyDataHeader, log) {
-    let readableStreamCancel = false;
-    const stream = new ReadableStream({
-        start(controller) {
-            webSocketServer.addEventListener("message", (event) => {
-                if (readableStreamCancel) {
-                    return;
-                }
-                const message = event.data;
-                controller.enqueue(message);
-            });
-
-            // The event means that the client closed the client -> server stream.
-            // However, the server -> client stream is still open until you call close() on the server side.
-            // The WebSocket protocol says that a separate close message must be sent in each direction to fully close the socket.
-            webSocketServer.addEventListener("close", () => {
-                // client send close, need close server
-                // if stream is cancel, skip controller.close
-                safeCloseWebSocket(webSocketServer);
-                if (readableStreamCancel) {
-                    return;
-                }
-                controller.close();
-            });
-            webSocketServer.addEventListener("error", (err) => {
-                log("webSocketServer has error");
-                controller.error(err);
-            });
-            // for ws 0rtt
-            const { earlyData, error } = base64ToArrayBuffer(earlyDataHeader);
-            if (error) {
-                controller.error(error);
-            } else if (earlyData) {
-                controller.enqueue(earlyData);
-            }
-        },
-        pull(controller) {
-            // if ws can stop read if stream is full, we can implement backpressure
-            // https://streams.spec.whatwg.org/#example-rs-push-backpressure
-        },
-        cancel(reason) {
-            // 1. pipe WritableStream has error, this cancel will called, so ws handle server close into here
-            // 2. if readableStream is cancel, all controller.close/enqueue need skip,
-            // 3. but from testing controller.error still work even if readableStream is cancel
-            if (readableStreamCancel) {
-                return;
-            }
-            log(`ReadableStream was canceled, due to ${reason}`);
-            readableStreamCancel = true;
-            safeCloseWebSocket(webSocketServer);
-        },
-    });
-
-    return stream;
+export async function VLOverWSHandler(request, env) {
+    return await handleWSProxy(request, env, VLProtocol);
 }
 
 /**
  * Processes the VL header buffer and returns an object with the relevant information.
  * @param {ArrayBuffer} VLBuffer The VL header buffer to process.
- * @param {string} userID The user ID to validate against the UUID in the VL header.
+ * @param {string[]} userIDs The user IDs to validate against the UUID in the VL header.
  * @returns {{
  *  hasError: boolean,
  *  message?: string,
@@ -262,11 +67,13 @@ function makeReadableWebSocketStream(webSocketServer, earlyDataHeader, log) {
  *  portRemote?: number,
  *  rawDataIndex?: number,
  *  VLVersion?: Uint8Array,
- *  isUDP?: boolean
+ *  isUDP?: boolean,
+ *  isMux?: boolean,
+ *  userID?: string
  * }} An object with the relevant information extracted from the VL header buffer.
  */
-function processVLHeader(VLBuffer, userID) {
-    if (VLBuffer.byteLength < 24) {
+function processVLHeader(VLBuffer, userIDs) {
+    if (VLBuffer.byteLength < 19) {
         return {
             hasError: true,
             message: "invalid data",
@@ -277,7 +84,7 @@ function processVLHeader(VLBuffer, userID) {
     let isUDP = false;
     const slicedBuffer = new Uint8Array(VLBuffer.slice(1, 17));
     const slicedBufferString = stringify(slicedBuffer);
-    isValidUser = slicedBufferString === userID;
+    isValidUser = userIDs.includes(slicedBufferString);
 
     if (!isValidUser) {
         return {
@@ -297,6 +104,17 @@ function processVLHeader(VLBuffer, userID) {
     if (command === 1) {
     } else if (command === 2) {
         isUDP = true;
+    } else if (command === 3) {
+        // mux carries its destinations in the frames, so the header has no port and address
+        return {
+            hasError: false,
+            addressRemote: "v1.mux.cool",
+            portRemote: 0,
+            rawDataIndex: 18 + optLength + 1,
+            VLVersion: version,
+            isMux: true,
+            userID: slicedBufferString,
+        };
     } else {
         return {
             hasError: true,
@@ -304,6 +122,12 @@ function processVLHeader(VLBuffer, userID) {
         };
     }
     const portIndex = 18 + optLength + 1;
+    if (VLBuffer.byteLength < portIndex + 4) {
+        return {
+            hasError: true,
+            message: "invalid data",
+        };
+    }
     const portBuffer = VLBuffer.slice(portIndex, portIndex + 2);
     // port is big-Endian in raw data etc 80 == 0x005d
     const portRemote = new DataView(portBuffer).getUint16(0);
@@ -360,111 +184,10 @@ function processVLHeader(VLBuffer, userID) {
         rawDataIndex: addressValueIndex + addressLength,
         VLVersion: version,
         isUDP,
+        userID: slicedBufferString,
     };
 }
 
-/**
- * Converts a remote socket to a WebSocket connection.
- * @param {import("@cloudflare/workers-types").Socket} remoteSocket The remote socket to convert.
- * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket to connect to.
- * @param {ArrayBuffer | null} VLResponseHeader The VL response header.
- * @param {(() => Promise<void>) | null} retry The function to retry the connection if it fails.
- * @param {(info: string) => void} log The logging function.
- * @returns {Promise<void>} A Promise that resolves when the conversion is complete.
- */
-async function VLRemoteSocketToWS(remoteSocket, webSocket, VLResponseHeader, retry, log) {
-    // remote--> ws
-    let remoteChunkCount = 0;
-    let chunks = [];
-    /** @type {ArrayBuffer | null} */
-    let VLHeader = VLResponseHeader;
-    let hasIncomingData = false; // check if remoteSocket has incoming data
-    await remoteSocket.readable
-        .pipeTo(
-            new WritableStream({
-                start() { },
-                /**
-                 *
-                 * @param {Uint8Array} chunk
-                 * @param {*} controller
-                 */
-                async write(chunk, controller) {
-                    hasIncomingData = true;
-                    // remoteChunkCount++;
-                    if (webSocket.readyState !== WS_READY_STATE_OPEN) {
-                        controller.error("webSocket.readyState is not open, maybe close");
-                    }
-                    if (VLHeader) {
-                        webSocket.send(await new Blob([VLHeader, chunk]).arrayBuffer());
-                        VLHeader = null;
-                    } else {
-                        // seems no need rate limit this, CF seems fix this??..
-                        // if (remoteChunkCount > 20000) {
-                        // 	// cf one package is 4096 byte(4kb),  4096 * 20000 = 80M
-                        // 	await delay(1);
-                        // }
-                        webSocket.send(chunk);
-                    }
-                },
-                close() {
-                    log(`remoteConnection!.readable is close with hasIncomingData is ${hasIncomingData}`);
-                    // safeCloseWebSocket(webSocket); // no need server close websocket frist for some case will casue HTTP ERR_CONTENT_LENGTH_MISMATCH issue, client will send close event anyway.
-                },
-                abort(reason) {
-                    console.error(`remoteConnection!.readable abort`, reason);
-                },
-            })
-        )
-        .catch((error) => {
-            console.error(`VLRemoteSocketToWS has exception `, error.stack || error);
-            safeCloseWebSocket(webSocket);
-        });
-
-    // seems is cf connect socket have error,
-    // 1. Socket.closed will have error
-    // 2. Socket.readable will be close without any data coming
-    if (hasIncomingData === false && retry) {
-        log(`retry`);
-        retry();
-    }
-}
-
-/**
- * Decodes a base64 string into an ArrayBuffer.
- * @param {string} base64Str The base64 string to decode.
- * @returns {{earlyData: ArrayBuffer|null, error: Error|null}} An object containing the decoded ArrayBuffer or null if there was an error, and any error that occurred during decoding or null if there was no error.
- */
-function base64ToArrayBuffer(base64Str) {
-    if (!base64Str) {
-        return { earlyData: null, error: null };
-    }
-    try {
-        // go use modified Base64 for URL rfc4648 which js atob not support
-        base64Str = base64Str.replace(/-/g, '+').replace(/_/g, '/');
-        const decode = atob(base64Str);
-        const arryBuffer = Uint8Array.from(decode, (c) => c.charCodeAt(0));
-        return { earlyData: arryBuffer.buffer, error: null };
-    } catch (error) {
-        return { earlyData: null, error };
-    }
-}
-
-const WS_READY_STATE_OPEN = 1;
-const WS_READY_STATE_CLOSING = 2;
-/**
- * Closes a WebSocket connection safely without throwing exceptions.
- * @param {import("@cloudflare/workers-types").WebSocket} socket The WebSocket connection to close.
- */
-function safeCloseWebSocket(socket) {
-    try {
-        if (socket.readyState === WS_READY_STATE_OPEN || socket.readyState === WS_READY_STATE_CLOSING) {
-            socket.close();
-        }
-    } catch (error) {
-        console.error('safeCloseWebSocket error', error);
-    }
-}
-
 const byteToHex = [];
 
 for (let i = 0; i < 256; ++i) {
@@ -506,50 +229,59 @@ function stringify(arr, offset = 0) {
 
 /**
  * Handles outbound UDP traffic by transforming the data into DNS queries and sending them over a WebSocket connection.
+ * Packets are prefixed with a 2-byte length and may be split across WebSocket messages, so incomplete
+ * packets are buffered until the rest arrives. Each DoH query starts as soon as its packet is complete,
+ * while responses are still sent back in the order the queries came in.
+ * @param {object} env The worker environment.
  * @param {import("@cloudflare/workers-types").WebSocket} webSocket The WebSocket connection to send the DNS queries over.
  * @param {ArrayBuffer} VLResponseHeader The VL response header.
  * @param {(string) => void} log The logging function.
+ * @param {{addDownload: (bytes: number) => void} | null} traffic The user's traffic counter, if any.
  * @returns {{write: (chunk: Uint8Array) => void}} An object with a write method that accepts a Uint8Array chunk to write to the transform stream.
  */
-async function handleUDPOutBound(webSocket, VLResponseHeader, log) {
+async function handleUDPOutBound(env, webSocket, VLResponseHeader, log, traffic) {
     let isVLHeaderSent = false;
+    let pending = new Uint8Array(0);
     const transformStream = new TransformStream({
         start(controller) { },
         transform(chunk, controller) {
+            const data = new Uint8Array(pending.byteLength + chunk.byteLength);
+            data.set(pending);
+            data.set(new Uint8Array(chunk), pending.byteLength);
+
             // udp message 2 byte is the the length of udp data
-            // TODO: this should have bug, beacsue maybe udp chunk can be in two websocket message
-            for (let index = 0; index < chunk.byteLength;) {
-                const lengthBuffer = chunk.slice(index, index + 2);
-                const udpPakcetLength = new DataView(lengthBuffer).getUint16(0);
-                const udpData = new Uint8Array(chunk.slice(index + 2, index + 2 + udpPakcetLength));
+            let index = 0;
+            while (data.byteLength - index >= 2) {
+                const udpPakcetLength = (data[index] << 8) | data[index + 1];
+                if (data.byteLength - index - 2 < udpPakcetLength) break;
+                const udpData = data.slice(index + 2, index + 2 + udpPakcetLength);
                 index = index + 2 + udpPakcetLength;
-                controller.enqueue(udpData);
+                controller.enqueue(queryDoH(env, udpData, log).catch((error) => {
+                    log(`doh query failed: ${error}`);
+                    return null;
+                }));
             }
+
+            pending = data.slice(index);
+        },
+        flush(controller) {
+            pending.byteLength && log(`dropped ${pending.byteLength} bytes of incomplete udp data`);
         },
-        flush(controller) { },
     });
 
     // only handle dns udp for now
     transformStream.readable
         .pipeTo(
             new WritableStream({
-                async write(chunk) {
-                    const resp = await fetch(
-                        dohURL, // dns server url
-                        {
-                            method: "POST",
-                            headers: {
-                                "content-type": "application/dns-message",
-                            },
-                            body: chunk,
-                        }
-                    );
-                    const dnsQueryResult = await resp.arrayBuffer();
+                async write(dnsQuery) {
+                    const dnsQueryResult = await dnsQuery;
+                    if (!dnsQueryResult) return;
                     const udpSize = dnsQueryResult.byteLength;
                     // console.log([...new Uint8Array(dnsQueryResult)].map((x) => x.toString(16)));
                     const udpSizeBuffer = new Uint8Array([(udpSize >> 8) & 0xff, udpSize & 0xff]);
                     if (webSocket.readyState === WS_READY_STATE_OPEN) {
                         log(`doh success and dns message length is ${udpSize}`);
+                        traffic?.addDownload(udpSize + 2);
                         if (isVLHeaderSent) {
                             webSocket.send(await new Blob([udpSizeBuffer, dnsQueryResult]).arrayBuffer());
                         } else {
@@ -0,0 +1,163 @@
+import { Authenticate } from "../authentication/auth";
+import { respond } from "../helpers/helpers";
+
+const MAX_LOG_ENTRIES = 100;
+const LOG_TTL = 30 * 24 * 60 * 60;
+// last uses and log entries are kept under keys of their own, so the hot subscription path never rewrites a shared key
+const LAST_USED_PREFIX = 'subTokenUsed:';
+const LOG_PREFIX = 'subTokenLog:';
+
+async function getSubTokens(env) {
+    try {
+        const tokens = await env.kv.get('subTokens', { type: 'json' });
+        return tokens || [];
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting subscription tokens - ${error}`);
+    }
+}
+
+async function saveSubTokens(env, tokens) {
+    try {
+        await env.kv.put('subTokens', JSON.stringify(tokens));
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while updating subscription tokens - ${error}`);
+    }
+}
+
+// keys sort by time left until a far-off date, so listing returns the latest fetches first
+function getLogKey(time) {
+    return `${LOG_PREFIX}${String(Number.MAX_SAFE_INTEGER - time).padStart(16, '0')}:${crypto.randomUUID()}`;
+}
+
+async function getSubTokenLog(env) {
+    try {
+        const { keys } = await env.kv.list({ prefix: LOG_PREFIX, limit: MAX_LOG_ENTRIES });
+        return keys.slice(0, MAX_LOG_ENTRIES).map(({ metadata }) => metadata).filter(Boolean);
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting subscription token log - ${error}`);
+    }
+}
+
+/**
+ * Looks up a subscription token that may currently be used, i.e. one that exists and has not expired.
+ * @param {object} env The worker environment.
+ * @param {string} token The token taken from the subscription path.
+ * @returns {Promise<object | null>}
+ */
+export async function findSubToken(env, token) {
+    const tokens = await getSubTokens(env);
+    const subToken = tokens.find(subToken => subToken.token === token);
+    if (!subToken || (subToken.expiresAt && subToken.expiresAt < Date.now())) return null;
+    return subToken;
+}
+
+/**
+ * Stamps the token's last use and logs the fetch, each under a key of its own. Log entries are kept in their
+ * key's metadata, which KV caps at 1 KB, so long labels and user agents are cut short. A failed write is only
+ * logged, so a busy KV never breaks the subscription itself.
+ * @param {object} env The worker environment.
+ * @param {object} subToken The token returned by findSubToken.
+ * @param {Request} request The subscription request.
+ * @param {string} subType The requested subscription type, e.g. "normal" or "warp".
+ */
+export async function recordSubTokenUse(env, subToken, request, subType) {
+    const now = Date.now();
+    try {
+        const entry = {
+            tokenId: subToken.id,
+            label: subToken.label.slice(0, 100),
+            time: now,
+            subType,
+            client: client || null,
+            ip: request.headers.get('cf-connecting-ip'),
+            userAgent: request.headers.get('User-Agent')?.slice(0, 256) || null
+        };
+
+        await Promise.all([
+            env.kv.put(`${LAST_USED_PREFIX}${subToken.id}`, '', { metadata: { lastUsedAt: now } }),
+            env.kv.put(getLogKey(now), '', { metadata: entry, expirationTtl: LOG_TTL })
+        ]);
+    } catch (error) {
+        console.log('Recording subscription token use failed:', error);
+    }
+}
+
+function generateToken() {
+    const charset = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+    const randomValues = crypto.getRandomValues(new Uint8Array(24));
+    return Array.from(randomValues, value => charset[value % charset.length]).join('');
+}
+
+async function getLastUses(env) {
+    try {
+        const lastUses = {};
+        let cursor;
+        do {
+            const page = await env.kv.list({ prefix: LAST_USED_PREFIX, cursor });
+            page.keys.forEach(({ name, metadata }) => lastUses[name.slice(LAST_USED_PREFIX.length)] = metadata?.lastUsedAt || null);
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+
+        return lastUses;
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting subscription token uses - ${error}`);
+    }
+}
+
+async function respondWithSubTokens(env, tokens) {
+    const [log, lastUses] = await Promise.all([getSubTokenLog(env), getLastUses(env)]);
+    // tokens stored before last uses got their own keys may still carry lastUsedAt
+    const tokensWithUse = tokens.map(token => ({ ...token, lastUsedAt: lastUses[token.id] || token.lastUsedAt || null }));
+    return await respond(true, 200, null, { tokens: tokensWithUse, log });
+}
+
+export async function getSubTokensList(request, env) {
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    const tokens = await getSubTokens(env);
+    return await respondWithSubTokens(env, tokens);
+}
+
+export async function addSubToken(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+
+    const formData = await request.formData();
+    const label = formData.get('label')?.trim();
+    if (!label) return await respond(false, 400, 'Token label is required.');
+
+    const tokens = await getSubTokens(env);
+    if (tokens.some(token => token.label === label)) return await respond(false, 400, 'A token with this label already exists.');
+
+    const expiry = formData.get('expiresAt');
+    tokens.push({
+        id: crypto.randomUUID(),
+        label,
+        token: generateToken(),
+        createdAt: Date.now(),
+        expiresAt: expiry ? Date.parse(`${expiry}T23:59:59Z`) || null : null
+    });
+
+    await saveSubTokens(env, tokens);
+    return await respondWithSubTokens(env, tokens);
+}
+
+export async function revokeSubToken(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+
+    const formData = await request.formData();
+    const tokens = await getSubTokens(env);
+    const remainingTokens = tokens.filter(token => token.id !== formData.get('id'));
+    if (remainingTokens.length === tokens.length) return await respond(false, 404, 'Token not found.');
+
+    await saveSubTokens(env, remainingTokens);
+    await env.kv.delete(`${LAST_USED_PREFIX}${formData.get('id')}`);
+    return await respondWithSubTokens(env, remainingTokens);
+}
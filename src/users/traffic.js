@@ -0,0 +1,137 @@
+const FLUSH_INTERVAL = 30 * 1000;
+const USAGE_TTL = 62 * 24 * 60 * 60;
+const LIMIT_CHECK_INTERVAL = 60 * 1000;
+
+// Each isolate keeps running totals per user and writes them, as absolute values, under its own key.
+// No key is ever read back and rewritten, so concurrent connections and isolates cannot lose each other's bytes.
+const isolateUsage = new Map();
+const checkedUsage = new Map();
+let isolateID = null;
+
+function getUsagePrefix(userId) {
+    const month = new Date().toISOString().slice(0, 7);
+    return `usage:${userId}:${month}:`;
+}
+
+/**
+ * Sums a user's traffic for the current month over the keys written by every isolate.
+ * @param {object} env The worker environment.
+ * @param {string} userId The registry user ID.
+ * @returns {Promise<{upload: number, download: number}>}
+ */
+export async function getUsage(env, userId) {
+    try {
+        const usage = { upload: 0, download: 0 };
+        let cursor;
+        do {
+            const page = await env.kv.list({ prefix: getUsagePrefix(userId), cursor });
+            page.keys.forEach(({ metadata }) => {
+                usage.upload += metadata?.upload || 0;
+                usage.download += metadata?.download || 0;
+            });
+
+            cursor = page.list_complete ? null : page.cursor;
+        } while (cursor);
+
+        return usage;
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting traffic usage - ${error}`);
+    }
+}
+
+/**
+ * Checks a registry user against its expiry date and monthly quota.
+ * @param {object} env The worker environment.
+ * @param {object} user The user record from the registry.
+ * @returns {Promise<string | null>} The rejection reason, or null if the user may connect.
+ */
+export async function checkUserLimits(env, user) {
+    if (user.expiresAt && Date.now() > user.expiresAt) return `user ${user.name} has expired`;
+    if (!user.quota) return null;
+    const { upload, download } = await getCheckedUsage(env, user.id);
+    if (upload + download >= user.quota) return `user ${user.name} has exceeded the monthly quota`;
+    return null;
+}
+
+// Clients open a new connection for almost every request, so the isolate sums a user's usage at most once a minute
+// for the quota check. Connections that arrive while the sum is being read share it.
+function getCheckedUsage(env, userId) {
+    const checked = checkedUsage.get(userId);
+    if (checked && Date.now() - checked.checkedAt < LIMIT_CHECK_INTERVAL) return checked.usage;
+    const usage = getUsage(env, userId).catch(error => {
+        checkedUsage.delete(userId);
+        throw error;
+    });
+
+    checkedUsage.set(userId, { usage, checkedAt: Date.now() });
+    return usage;
+}
+
+function getIsolateUsage(userId) {
+    // random values are only available while handling a request, so the ID can't be made at module load
+    isolateID ||= crypto.randomUUID();
+    const key = `${getUsagePrefix(userId)}${isolateID}`;
+    let usage = isolateUsage.get(userId);
+    if (usage?.key !== key) {
+        usage = { key, upload: 0, download: 0, lastFlush: Date.now(), isDirty: false, isQueued: false, flushTimer: null, flushing: Promise.resolve() };
+        isolateUsage.set(userId, usage);
+    }
+
+    return usage;
+}
+
+/**
+ * Creates a per-connection byte counter for a registry user. Bytes go into the isolate's totals for the user,
+ * which are written to KV at most every 30 seconds, since KV accepts about one write per second per key.
+ * A closing connection schedules the write for the end of the interval instead of making its own, so bytes
+ * counted since the last write are lost if the isolate is evicted before then.
+ * @param {object} env The worker environment.
+ * @param {object} user The user record from the registry.
+ */
+export function createTrafficCounter(env, user) {
+    const flush = () => {
+        const usage = getIsolateUsage(user.id);
+        clearTimeout(usage.flushTimer);
+        usage.flushTimer = null;
+        if (!usage.isDirty || usage.isQueued) return usage.flushing;
+        usage.isQueued = true;
+        usage.flushing = usage.flushing.then(async () => {
+            const { key, upload, download } = usage;
+            usage.isQueued = false;
+            usage.isDirty = false;
+            usage.lastFlush = Date.now();
+            try {
+                await env.kv.put(key, '', { metadata: { upload, download }, expirationTtl: USAGE_TTL });
+            } catch (error) {
+                usage.isDirty = true;
+                console.log('Flushing traffic usage failed:', error);
+            }
+        });
+
+        return usage.flushing;
+    };
+
+    const add = (field, bytes) => {
+        const usage = getIsolateUsage(user.id);
+        usage[field] += bytes;
+        usage.isDirty = true;
+        Date.now() - usage.lastFlush > FLUSH_INTERVAL && flush();
+    };
+
+    const close = () => {
+        const usage = getIsolateUsage(user.id);
+        if (!usage.isDirty || usage.flushTimer) return;
+        usage.flushTimer = setTimeout(flush, Math.max(usage.lastFlush + FLUSH_INTERVAL - Date.now(), 0));
+    };
+
+    return {
+        addUpload(bytes) {
+            add('upload', bytes);
+        },
+        addDownload(bytes) {
+            add('download', bytes);
+        },
+        close
+    };
+}
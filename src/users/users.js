@@ -0,0 +1,138 @@
+import { Authenticate } from "../authentication/auth";
+import { respond } from "../helpers/helpers";
+import { getRandomPath } from "../cores-configs/helpers";
+import { getUsage } from "./traffic";
+
+export async function getUsers(env) {
+    try {
+        const users = await env.kv.get('users', { type: 'json' });
+        return users || [];
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while getting users - ${error}`);
+    }
+}
+
+async function saveUsers(env, users) {
+    try {
+        await env.kv.put('users', JSON.stringify(users));
+    } catch (error) {
+        console.log(error);
+        throw new Error(`An error occurred while updating users - ${error}`);
+    }
+}
+
+/**
+ * Returns every credential the VL and TR handlers should accept: the deployment's own
+ * UUID / Trojan password first, followed by all enabled users from the registry.
+ * @param {object} env The worker environment.
+ * @returns {Promise<{uuid: string, trPassword: string, user: object | null}[]>}
+ */
+export async function getActiveCredentials(env) {
+    const users = await getUsers(env);
+    const credentials = [{ uuid: globalThis.userID, trPassword: globalThis.TRPassword, user: null }];
+    users.forEach(user => {
+        user.enabled && credentials.push({ uuid: user.uuid, trPassword: user.trPassword, user });
+    });
+
+    return credentials;
+}
+
+export async function findUserBySubPath(env, path) {
+    const users = await getUsers(env);
+    return users.find(user => user.enabled && user.subPath === path) || null;
+}
+
+function parseLimits(formData) {
+    const limits = {};
+    if (formData.has('quota')) {
+        const quotaGB = parseFloat(formData.get('quota'));
+        limits.quota = quotaGB > 0 ? Math.round(quotaGB * 1024 ** 3) : 0;
+    }
+
+    if (formData.has('expiresAt')) {
+        const expiry = formData.get('expiresAt');
+        limits.expiresAt = expiry ? Date.parse(`${expiry}T23:59:59Z`) || null : null;
+    }
+
+    return limits;
+}
+
+function generatePassword() {
+    const charset = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+    const randomValues = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(randomValues, value => charset[value % charset.length]).join('');
+}
+
+async function respondWithUsers(env, users) {
+    const usages = await Promise.all(users.map(user => getUsage(env, user.id)));
+    const usersWithUsage = users.map((user, index) => ({ ...user, usage: usages[index] }));
+    return await respond(true, 200, null, usersWithUsage);
+}
+
+export async function getUsersList(request, env) {
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+    const users = await getUsers(env);
+    return await respondWithUsers(env, users);
+}
+
+export async function addUser(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+
+    const formData = await request.formData();
+    const name = formData.get('name')?.trim();
+    if (!name) return await respond(false, 400, 'User name is required.');
+
+    const users = await getUsers(env);
+    if (users.some(user => user.name === name)) return await respond(false, 400, 'A user with this name already exists.');
+
+    const user = {
+        id: crypto.randomUUID(),
+        name,
+        uuid: crypto.randomUUID(),
+        trPassword: generatePassword(),
+        subPath: getRandomPath(16),
+        enabled: true,
+        quota: 0,
+        expiresAt: null,
+        createdAt: Date.now(),
+        ...parseLimits(formData)
+    };
+
+    users.push(user);
+    await saveUsers(env, users);
+    return await respondWithUsers(env, users);
+}
+
+export async function updateUser(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+
+    const formData = await request.formData();
+    const users = await getUsers(env);
+    const user = users.find(user => user.id === formData.get('id'));
+    if (!user) return await respond(false, 404, 'User not found.');
+
+    if (formData.has('enabled')) user.enabled = formData.get('enabled') === 'true';
+    Object.assign(user, parseLimits(formData));
+    await saveUsers(env, users);
+    return await respondWithUsers(env, users);
+}
+
+export async function deleteUser(request, env) {
+    if (request.method !== 'POST') return await respond(false, 405, 'Method not allowed.');
+    const auth = await Authenticate(request, env);
+    if (!auth) return await respond(false, 401, 'Unauthorized or expired session.');
+
+    const formData = await request.formData();
+    const users = await getUsers(env);
+    const remainingUsers = users.filter(user => user.id !== formData.get('id'));
+    if (remainingUsers.length === users.length) return await respond(false, 404, 'User not found.');
+
+    await saveUsers(env, remainingUsers);
+    return await respondWithUsers(env, remainingUsers);
+}
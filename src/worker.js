@@ -1,7 +1,8 @@
-import { initializeParams } from './helpers/init';
+import { initializeParams, initializeWSParams } from './helpers/init';
 import { VLOverWSHandler } from './protocols/vless';
 import { TROverWSHandler } from './protocols/trojan';
-import { fallback, serveIcon, renderError, renderSecrets, handlePanel, handleSubscriptions, handleLogin, handleError } from './helpers/helpers';
+import { SSOverWSHandler } from './protocols/shadowsocks';
+import { fallback, serveIcon, renderError, renderSecrets, handlePanel, handleSubscriptions, handleLogin, handleError, handleDoH } from './helpers/helpers';
 import { logout } from './authentication/auth';
 
 export default {
@@ -17,11 +18,16 @@ export default {
 				if (pathName.startsWith('/error')) return await renderError();
 				if (pathName.startsWith('/secrets')) return await renderSecrets();
 				if (pathName.startsWith('/favicon.ico')) return await serveIcon();
+				if (pathName.startsWith('/dns-query/')) {
+					await initializeWSParams(env);
+					return await handleDoH(request, env);
+				}
 				return await fallback(request);
 			} else {
-				return pathName.startsWith('/tr')
-					? await TROverWSHandler(request)
-					: await VLOverWSHandler(request);
+				await initializeWSParams(env);
+				if (pathName.startsWith('/tr')) return await TROverWSHandler(request, env);
+				if (pathName.startsWith('/ss')) return await SSOverWSHandler(request, env);
+				return await VLOverWSHandler(request, env);
 			}
 		} catch (error) {
 			return await handleError(error);
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, login, request } from './harness/worker.js';
+
+async function openPanel() {
+    const env = createEnv({}, { pwd: 'panel-password' });
+    const cookie = await login(env, 'panel-password');
+    const { body } = await (await request(env, '/panel/settings', { headers: { Cookie: cookie } })).json();
+    return { env, cookie, csrfToken: body.csrfToken };
+}
+
+test('state-changing panel requests without the CSRF token get an HTTP 403', async () => {
+    const { env, cookie } = await openPanel();
+    const response = await request(env, '/panel/logout-all', { method: 'POST', headers: { Cookie: cookie } });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).message, 'Missing or invalid CSRF token.');
+});
+
+test('logging out takes a POST with the CSRF token', async () => {
+    const { env, cookie, csrfToken } = await openPanel();
+    const isLoggedIn = async () => (await (await request(env, '/panel/sessions', { headers: { Cookie: cookie } })).json()).success;
+
+    assert.equal((await (await request(env, '/logout', { headers: { Cookie: cookie } })).json()).status, 405);
+    assert.equal((await request(env, '/logout', { method: 'POST', headers: { Cookie: cookie } })).status, 403);
+    assert.equal(await isLoggedIn(), true);
+
+    const response = await request(env, '/logout', { method: 'POST', headers: { Cookie: cookie, 'X-CSRF-Token': csrfToken } });
+    assert.equal((await response.json()).success, true);
+    assert.equal(await isLoggedIn(), false);
+});
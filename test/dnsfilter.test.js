@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterDNSQuery, parseDNSFilter } from '../src/protocols/dnsfilter.js';
+import { queryDoH } from '../src/protocols/doh.js';
+
+function dnsQuery(name) {
+    const labels = name.split('.').flatMap(label => [label.length, ...Buffer.from(label)]);
+    return new Uint8Array([0x12, 0x34, 1, 0, 0, 1, 0, 0, 0, 0, 0, 0, ...labels, 0, 0, 1, 0, 1]);
+}
+
+test('blocklists are cut at 1 MB and blocked queries are logged on the connection', async (t) => {
+    // about 1.3 MB of domains, so the last ones fall past the cut
+    const malware = Array.from({ length: 100000 }, (_, i) => `domain${i}.test`).join('\n');
+    t.mock.method(globalThis, 'fetch', async url => new Response(url.endsWith('/malware.txt') ? malware : ''));
+    const consoleLog = t.mock.method(console, 'log', () => { });
+    globalThis.dnsFilter = parseDNSFilter({ dnsFiltering: true });
+
+    const logs = [];
+    const blocked = await queryDoH({}, dnsQuery('www.domain1.test'), info => logs.push(info));
+    assert.equal(new Uint8Array(blocked)[3] & 0x0f, 3);
+    assert.deepEqual(logs, ['dns query for www.domain1.test blocked by domain1.test']);
+    assert.ok(consoleLog.mock.calls.some(({ arguments: [message] }) => /malware is larger than/.test(message)));
+    assert.equal(await filterDNSQuery(dnsQuery('domain99999.test')), null);
+});
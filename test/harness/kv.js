@@ -0,0 +1,40 @@
+/**
+ * In-memory KV namespace with the subset of the Workers KV API the worker uses.
+ * Values are stored as strings, as in KV, and expirations are honoured on reads.
+ */
+export function createMockKV(entries = {}) {
+    const store = new Map();
+    const isLive = entry => !entry.expiration || entry.expiration * 1000 > Date.now();
+
+    const kv = {
+        store,
+        async get(key, options) {
+            const entry = store.get(key);
+            if (!entry || !isLive(entry)) return null;
+            const type = typeof options === 'string' ? options : options?.type;
+            return type === 'json' ? JSON.parse(entry.value) : entry.value;
+        },
+        async getWithMetadata(key, options) {
+            const entry = store.get(key);
+            return { value: await kv.get(key, options), metadata: entry && isLive(entry) ? entry.metadata ?? null : null };
+        },
+        async put(key, value, { metadata, expirationTtl, expiration } = {}) {
+            if (expirationTtl) expiration = Math.floor(Date.now() / 1000) + expirationTtl;
+            store.set(key, { value: String(value), metadata, expiration });
+        },
+        async delete(key) {
+            store.delete(key);
+        },
+        async list({ prefix = '' } = {}) {
+            const keys = [...store]
+                .filter(([name, entry]) => name.startsWith(prefix) && isLive(entry))
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, { metadata, expiration }]) => ({ name, metadata, expiration }));
+
+            return { keys, list_complete: true, cursor: '' };
+        },
+    };
+
+    Object.entries(entries).forEach(([key, value]) => store.set(key, { value: typeof value === 'string' ? value : JSON.stringify(value) }));
+    return kv;
+}
@@ -0,0 +1,34 @@
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+
+// Resolves src/ the way esbuild does: relative imports without an extension, and cloudflare:sockets from the mock.
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === 'cloudflare:sockets') {
+        return { url: new URL('./sockets.js', import.meta.url).href, shortCircuit: true };
+    }
+
+    if (/^\.{1,2}\//.test(specifier) && !/\.(?:[cm]?js|json)$/.test(specifier)) {
+        return nextResolve(`${specifier}.js`, context);
+    }
+
+    return nextResolve(specifier, context);
+}
+
+// esbuild also lets src/ take named imports from CommonJS packages whose exports Node cannot detect, e.g. tweetnacl
+export async function load(url, context, nextLoad) {
+    const result = await nextLoad(url, context);
+    if (result.format !== 'commonjs' || !url.includes('/node_modules/')) return result;
+
+    const path = JSON.stringify(fileURLToPath(url));
+    const names = Object.keys(require(fileURLToPath(url))).filter(name => name !== 'default' && /^[A-Za-z_$][\w$]*$/.test(name));
+    const source = [
+        `import { createRequire } from 'node:module';`,
+        `const pkg = createRequire(import.meta.url)(${path});`,
+        `export default pkg;`,
+        ...names.map(name => `export const ${name} = pkg.${name};`),
+    ].join('\n');
+
+    return { format: 'module', source, shortCircuit: true };
+}
@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+import './runtime.js';
+
+register('./loader.js', import.meta.url);
@@ -0,0 +1,61 @@
+import { createHash } from 'node:crypto';
+
+// The parts of the workerd runtime the worker relies on that Node does not have.
+
+const WS_OPEN = 1;
+const WS_CLOSING = 2;
+const WS_CLOSED = 3;
+
+class MockWebSocket extends EventTarget {
+    readyState = WS_OPEN;
+    peer = null;
+
+    accept() { }
+
+    send(data) {
+        if (this.readyState !== WS_OPEN) throw new Error('WebSocket is not open');
+        const bytes = ArrayBuffer.isView(data) ? data : new Uint8Array(data);
+        // workerd delivers binary messages as ArrayBuffers
+        const message = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+        setImmediate(() => this.peer.readyState !== WS_CLOSED && this.peer.dispatchEvent(new MessageEvent('message', { data: message })));
+    }
+
+    close() {
+        if (this.readyState === WS_CLOSED) return;
+        this.readyState = WS_CLOSED;
+        const { peer } = this;
+        if (peer.readyState === WS_CLOSED) return;
+        peer.readyState = WS_CLOSING;
+        setImmediate(() => peer.dispatchEvent(new Event('close')));
+    }
+}
+
+globalThis.WebSocketPair = class {
+    constructor() {
+        const client = new MockWebSocket();
+        const server = new MockWebSocket();
+        client.peer = server;
+        server.peer = client;
+        this[0] = client;
+        this[1] = server;
+    }
+};
+
+// workerd answers WebSocket upgrades with a 101 response carrying the client end of the pair
+const NodeResponse = globalThis.Response;
+globalThis.Response = class extends NodeResponse {
+    constructor(body, init) {
+        const { status, webSocket, ...rest } = init || {};
+        super(body, status === 101 ? rest : init);
+        this.webSocket = webSocket || null;
+        if (status === 101) Object.defineProperty(this, 'status', { value: 101 });
+    }
+};
+
+// Shadowsocks key derivation needs MD5, which workerd's digest() supports
+const digest = crypto.subtle.digest.bind(crypto.subtle);
+crypto.subtle.digest = async (algorithm, data) => {
+    if ((algorithm.name || algorithm) !== 'MD5') return await digest(algorithm, data);
+    const hash = createHash('md5').update(ArrayBuffer.isView(data) ? data : new Uint8Array(data)).digest();
+    return hash.buffer.slice(hash.byteOffset, hash.byteOffset + hash.byteLength);
+};
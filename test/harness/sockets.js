@@ -0,0 +1,88 @@
+/**
+ * Stand-in for workerd's cloudflare:sockets. Every socket the worker dials is recorded in `connections`,
+ * and the handler set with onConnect() decides how the destination behaves. By default it echoes.
+ */
+export const connections = [];
+const echo = connection => connection.echo();
+let handler = echo;
+
+export function onConnect(callback) {
+    handler = callback;
+}
+
+export function resetSockets() {
+    connections.length = 0;
+    handler = echo;
+}
+
+export function connect({ hostname, port }) {
+    const connection = new MockConnection(hostname, port);
+    connections.push(connection);
+    handler(connection);
+    return connection.socket;
+}
+
+class MockConnection {
+    received = [];
+    ondata = null;
+    isClosed = false;
+
+    constructor(hostname, port) {
+        this.hostname = hostname;
+        this.port = port;
+        let readable;
+        let resolveClosed;
+        this.socket = {
+            opened: Promise.resolve({}),
+            closed: new Promise(resolve => resolveClosed = resolve),
+            readable: new ReadableStream({ start: controller => readable = controller }),
+            writable: new WritableStream({
+                write: chunk => {
+                    const data = new Uint8Array(chunk);
+                    this.received.push(data);
+                    this.ondata?.(data);
+                },
+            }),
+            close: () => this.end(),
+        };
+
+        this.readable = readable;
+        this.resolveClosed = resolveClosed;
+    }
+
+    /** Sends data from the destination to the worker. */
+    send(data) {
+        this.isClosed || this.readable.enqueue(new Uint8Array(data));
+    }
+
+    /** Closes the connection from the destination's side. */
+    end() {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        this.readable.close();
+        this.resolveClosed();
+    }
+
+    /** Makes the connection fail to open. Only takes effect from inside the onConnect() handler. */
+    refuse(error = new Error('connection refused')) {
+        this.socket.opened = Promise.reject(error);
+        this.socket.opened.catch(() => { });
+        this.end();
+    }
+
+    /** Holds the connection in the connecting state until the returned function is called. Only takes effect from inside the onConnect() handler. */
+    stall() {
+        let open;
+        this.socket.opened = new Promise(resolve => open = resolve);
+        return () => open({});
+    }
+
+    echo() {
+        this.ondata = data => this.send(data);
+    }
+
+    /** All bytes the worker wrote so far. */
+    get data() {
+        return Buffer.concat(this.received);
+    }
+}
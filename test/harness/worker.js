@@ -0,0 +1,93 @@
+import worker from '../../src/worker.js';
+import { createMockKV } from './kv.js';
+
+export const UUID = 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d';
+export const TR_PASS = 'trojan-password';
+
+/**
+ * Builds a worker environment with an in-memory KV.
+ * @param {object} [proxySettings] Panel settings stored in KV.
+ * @param {object} [entries] Other KV entries.
+ */
+export function createEnv(proxySettings = {}, entries = {}) {
+    return {
+        UUID,
+        TR_PASS,
+        PROXY_IP: 'proxyip.test',
+        kv: createMockKV({ proxySettings, ...entries }),
+    };
+}
+
+/**
+ * Resolves once the predicate holds, polling until the timeout.
+ * @param {() => boolean} predicate
+ * @param {number} [timeout] Milliseconds to wait.
+ */
+export async function waitFor(predicate, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Opens a proxy WebSocket to the worker, as a client would.
+ * @param {object} env The worker environment.
+ * @param {string} [path] The WebSocket path, which selects the protocol.
+ */
+export async function openTunnel(env, path = '/') {
+    const request = new Request(`https://worker.test${path}`, { headers: { Upgrade: 'websocket' } });
+    const response = await worker.fetch(request, env);
+    const { webSocket } = response;
+    if (!webSocket) throw new Error(`expected a WebSocket, got status ${response.status}`);
+
+    const messages = [];
+    let isClosed = false;
+    webSocket.addEventListener('message', event => messages.push(new Uint8Array(event.data)));
+    webSocket.addEventListener('close', () => {
+        isClosed = true;
+        webSocket.close();
+    });
+
+    return {
+        messages,
+        get isClosed() {
+            return isClosed;
+        },
+        /** All bytes the worker sent so far. */
+        get data() {
+            return Buffer.concat(messages);
+        },
+        send(data) {
+            webSocket.send(data);
+        },
+        close() {
+            webSocket.close();
+        },
+    };
+}
+
+/**
+ * Logs in to the panel with the password stored under "pwd".
+ * @param {object} env The worker environment.
+ * @param {string} password
+ * @returns {Promise<string>} The session cookie, to send as the Cookie header.
+ */
+export async function login(env, password) {
+    const request = new Request('https://worker.test/login/authenticate', { method: 'POST', body: password });
+    const response = await worker.fetch(request, env);
+    const cookie = response.headers.get('Set-Cookie')?.match(/jwtToken=[^;]*/);
+    if (!cookie) throw new Error(`login failed: ${await response.text()}`);
+    return cookie[0];
+}
+
+/**
+ * Sends a request to the worker outside a WebSocket.
+ * @param {object} env The worker environment.
+ * @param {string} path
+ * @param {RequestInit} [init]
+ */
+export async function request(env, path, init) {
+    return await worker.fetch(new Request(`https://worker.test${path}`, init), env);
+}
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockKV } from './harness/kv.js';
+import { getLoginLockout, recordFailedLogin } from '../src/authentication/lockout.js';
+
+const request = new Request('https://worker.test/login', { headers: { 'cf-connecting-ip': '198.51.100.9' } });
+
+test('a rejected write to the global counter or the log does not cost the IP its lockout', async () => {
+    const kv = createMockKV();
+    const put = kv.put;
+    // KV allows about one write per second per key, which the shared keys hit first under attack
+    kv.put = async (key, ...rest) => {
+        if (key === 'loginAttempts:global' || key === 'failedLogins') throw new Error('KV PUT failed: 429 Too Many Requests');
+        return await put(key, ...rest);
+    };
+
+    const env = { kv };
+    const lockouts = [];
+    for (let i = 0; i < 7; i++) lockouts.push(await recordFailedLogin(env, request));
+
+    assert.deepEqual(lockouts, [0, 0, 0, 0, 0, 60, 120]);
+    assert.ok(await getLoginLockout(env, request) > 60);
+});
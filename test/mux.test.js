@@ -0,0 +1,69 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connections, onConnect, resetSockets } from './harness/sockets.js';
+import { createEnv, openTunnel, waitFor, UUID } from './harness/worker.js';
+
+const STATUS_NEW = 1;
+const STATUS_KEEP = 2;
+
+const muxHeader = () => Buffer.concat([Buffer.from([0]), Buffer.from(UUID.replace(/-/g, ''), 'hex'), Buffer.from([0, 3])]);
+
+function muxFrame(sessionId, status, data, host) {
+    const target = host ? Buffer.concat([Buffer.from([1, 0, 80, 2, host.length]), Buffer.from(host)]) : Buffer.alloc(0);
+    const meta = Buffer.concat([Buffer.from([sessionId >> 8, sessionId & 0xff, status, data ? 1 : 0]), target]);
+    const parts = [Buffer.from([meta.length >> 8, meta.length & 0xff]), meta];
+    data && parts.push(Buffer.from([data.length >> 8, data.length & 0xff]), Buffer.from(data));
+    return Buffer.concat(parts);
+}
+
+// Collects the data of the Keep frames the worker sent, per session
+function parseSessionData(data) {
+    const sessions = {};
+    for (let offset = 2; offset + 2 <= data.length;) {
+        const metaLength = data.readUInt16BE(offset);
+        const meta = data.subarray(offset + 2, offset + 2 + metaLength);
+        offset += 2 + metaLength;
+        if (!(meta[3] & 1)) continue;
+        const length = data.readUInt16BE(offset);
+        const sessionId = meta.readUInt16BE(0);
+        sessions[sessionId] = (sessions[sessionId] || '') + data.subarray(offset + 2, offset + 2 + length).toString();
+        offset += 2 + length;
+    }
+
+    return sessions;
+}
+
+beforeEach(() => resetSockets());
+
+test('a session still connecting does not hold up the others, and gets its data once connected', async () => {
+    let openSlow;
+    onConnect((connection) => {
+        if (connection.hostname === 'slow.test') openSlow = connection.stall();
+        connection.echo();
+    });
+
+    const tunnel = await openTunnel(createEnv());
+    tunnel.send(Buffer.concat([muxHeader(), muxFrame(1, STATUS_NEW, 'a', 'slow.test')]));
+    tunnel.send(muxFrame(1, STATUS_KEEP, 'b'));
+    tunnel.send(muxFrame(2, STATUS_NEW, 'fast', 'fast.test'));
+    await waitFor(() => parseSessionData(tunnel.data)[2] === 'fast');
+    assert.equal(parseSessionData(tunnel.data)[1], undefined);
+
+    tunnel.send(muxFrame(1, STATUS_KEEP, 'c'));
+    openSlow();
+    await waitFor(() => parseSessionData(tunnel.data)[1]?.length === 3);
+    assert.equal(connections.find(({ hostname }) => hostname === 'slow.test').data.toString(), 'abc');
+    tunnel.close();
+});
+
+test('a failed connect ends only its own session', async () => {
+    onConnect(connection => connection.hostname === 'down.test' ? connection.refuse() : connection.echo());
+    const tunnel = await openTunnel(createEnv());
+    tunnel.send(Buffer.concat([muxHeader(), muxFrame(1, STATUS_NEW, 'lost', 'down.test'), muxFrame(2, STATUS_NEW, 'kept', 'up.test')]));
+    await waitFor(() => parseSessionData(tunnel.data)[2] === 'kept');
+
+    // the End frame for session 1 carries the error option
+    await waitFor(() => tunnel.data.includes(Buffer.from([0, 4, 0, 1, 3, 2])));
+    assert.equal(tunnel.isClosed, false);
+    tunnel.close();
+});
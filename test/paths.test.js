@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRandomVLPath } from '../src/cores-configs/helpers.js';
+
+const CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Makes Math.random() pick the given characters, one per call
+function mockRandomPaths(t, ...paths) {
+    const values = [...paths.join('')].map(char => (CHARACTERS.indexOf(char) + 0.5) / CHARACTERS.length);
+    t.mock.method(Math, 'random', () => values.shift());
+}
+
+test('VL paths never start with the Trojan or Shadowsocks routing prefixes', (t) => {
+    mockRandomPaths(t, 'ssAbcd', 'trXyz1', 'sTrss0');
+    assert.equal(getRandomVLPath(6), 'sTrss0');
+});
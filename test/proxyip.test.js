@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockKV } from './harness/kv.js';
+import { getProxyIPHealth, getProxyIPStatus, reportProxyIP } from '../src/protocols/proxyip.js';
+
+test('failures at the same time are all counted without reading KV back', async (t) => {
+    const env = { kv: createMockKV() };
+    const get = t.mock.method(env.kv, 'get');
+    const put = t.mock.method(env.kv, 'put');
+    for (let i = 0; i < 5; i++) reportProxyIP(env, '192.0.2.1', false);
+
+    assert.equal(get.mock.callCount(), 0);
+    assert.equal(put.mock.callCount(), 1);
+    const health = await getProxyIPHealth(env);
+    assert.equal(health['192.0.2.1'].failures, 5);
+    assert.equal(health['192.0.2.1'].consecutiveFailures, 5);
+    assert.equal(getProxyIPStatus(health['192.0.2.1']), 'cooling down');
+});
+
+test('merges the records other isolates wrote', async () => {
+    const lastFailure = Date.now() - 1000;
+    const env = { kv: createMockKV() };
+
+    await env.kv.put('proxyIPHealth:other-isolate:198.51.100.1', '', {
+        metadata: { proxyIP: '198.51.100.1', successes: 4, failures: 2, consecutiveFailures: 2, latency: 80, lastSuccess: lastFailure - 1000, lastFailure },
+    });
+
+    reportProxyIP(env, '198.51.100.1', false);
+    let health = await getProxyIPHealth(env);
+    assert.deepEqual([health['198.51.100.1'].failures, health['198.51.100.1'].consecutiveFailures], [3, 3]);
+
+    reportProxyIP(env, '198.51.100.1', true, 40);
+    health = await getProxyIPHealth(env);
+    assert.deepEqual(
+        [health['198.51.100.1'].successes, health['198.51.100.1'].consecutiveFailures, health['198.51.100.1'].latency],
+        [5, 0, 40]
+    );
+    assert.equal(getProxyIPStatus(health['198.51.100.1']), 'healthy');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { onConnect } from './harness/sockets.js';
+import { createEnv, openTunnel, waitFor, UUID } from './harness/worker.js';
+import { getRelayStats } from '../src/protocols/relaystats.js';
+
+test('a finished relay is added to the stats the panel reads from KV', async () => {
+    onConnect((connection) => {
+        connection.ondata = (data) => {
+            connection.send(data);
+            connection.end();
+        };
+    });
+
+    const env = createEnv();
+    const tunnel = await openTunnel(env);
+    const host = Buffer.from('example.com');
+    tunnel.send(Buffer.concat([
+        Buffer.from([0]),
+        Buffer.from(UUID.replace(/-/g, ''), 'hex'),
+        Buffer.from([0, 1, 0, 80, 2, host.length]),
+        host,
+        Buffer.from('hello'),
+    ]));
+
+    await waitFor(() => [...env.kv.store.keys()].some(key => key.startsWith('relayStats:')));
+    const { isolates, connections, bytes, chunks, messages, updatedAt } = await getRelayStats(env);
+    assert.deepEqual({ isolates, connections, bytes, chunks, messages }, { isolates: 1, connections: 1, bytes: 5, chunks: 1, messages: 1 });
+    assert.ok(updatedAt);
+    tunnel.close();
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockKV } from './harness/kv.js';
+import { SESSION_TTL, clearSessions, createSession, deleteSession, listSessions, touchSession } from '../src/authentication/sessions.js';
+
+const request = new Request('https://worker.test/panel', { headers: { 'cf-connecting-ip': '203.0.113.7' } });
+
+test('refreshing a session only rewrites its own key', async (t) => {
+    const env = { kv: createMockKV() };
+    const current = await createSession(env, request);
+    const other = await createSession(env, request);
+    await deleteSession(env, other);
+
+    const now = Date.now() + 10 * 60 * 1000;
+    t.mock.method(Date, 'now', () => now);
+    const put = t.mock.method(env.kv, 'put');
+    assert.equal((await touchSession(env, request, current)).lastSeen, now);
+
+    assert.deepEqual(put.mock.calls.map(({ arguments: [key] }) => key), [`session:${current}`]);
+    assert.deepEqual((await listSessions(env)).map(({ id }) => id), [current]);
+    assert.equal(await touchSession(env, request, other), null);
+});
+
+test('logging out everywhere deletes every session key, and the keys expire with their sessions', async () => {
+    const env = { kv: createMockKV() };
+    const ids = [await createSession(env, request), await createSession(env, request)];
+    const expirations = [...env.kv.store.values()].map(({ expiration }) => expiration - Math.floor(Date.now() / 1000));
+    assert.ok(expirations.every(ttl => ttl > SESSION_TTL - 5 && ttl <= SESSION_TTL));
+
+    await clearSessions(env);
+    assert.deepEqual(await listSessions(env), []);
+    assert.deepEqual(await Promise.all(ids.map(id => touchSession(env, request, id))), [null, null]);
+    assert.equal(env.kv.store.size, 0);
+});
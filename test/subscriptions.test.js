@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/worker.js';
+import { initializeParams } from '../src/helpers/init.js';
+import { updateDataset } from '../src/kv/handlers.js';
+import { createEnv } from './harness/worker.js';
+
+const users = [
+    { id: 'user-a', name: 'a', enabled: true, uuid: 'b1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d', trPassword: 'password-a', subPath: 'path-a', quota: 1000 },
+    { id: 'user-b', name: 'b', enabled: true, uuid: 'c1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d', trPassword: 'password-b', subPath: 'path-b', quota: 2000 },
+];
+
+const subRequest = path => new Request(`https://worker.test${path}`, { headers: { Host: 'worker.test' } });
+
+test('concurrent subscriptions each get their own user credential and usage', async (t) => {
+    // config generation resolves the worker's own host over DoH
+    t.mock.method(globalThis, 'fetch', async () => Response.json({ Answer: [] }));
+    const env = createEnv({}, { users, warpConfigs: [] });
+    await env.kv.delete('proxySettings');
+    initializeParams(subRequest('/panel'), env);
+    await updateDataset(subRequest('/panel'), env);
+
+    const [responseA, responseB] = await Promise.all([
+        worker.fetch(subRequest('/sub/normal/path-a?app=xray'), env),
+        worker.fetch(subRequest('/sub/normal/path-b?app=xray'), env),
+    ]);
+
+    assert.equal(responseA.headers.get('Subscription-Userinfo'), 'upload=0; download=0; total=1000; expire=0');
+    assert.equal(responseB.headers.get('Subscription-Userinfo'), 'upload=0; download=0; total=2000; expire=0');
+    const configsA = atob(await responseA.text());
+    const configsB = atob(await responseB.text());
+    assert.ok(configsA.includes(users[0].uuid) && !configsA.includes(users[1].uuid));
+    assert.ok(configsB.includes(users[1].uuid) && !configsB.includes(users[0].uuid));
+});
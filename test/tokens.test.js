@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockKV } from './harness/kv.js';
+import { createEnv, login, request as fetchWorker } from './harness/worker.js';
+import { findSubToken, recordSubTokenUse } from '../src/users/tokens.js';
+
+const request = new Request('https://worker.test/sub/token', { headers: { 'cf-connecting-ip': '203.0.113.7' } });
+
+// KV reads can be stale, so rewriting the token list from a subscription fetch could bring back a revoked token
+test('recording a use stamps its own key and never writes the token list', async (t) => {
+    globalThis.client = null;
+    const env = { kv: createMockKV({ subTokens: [{ id: 'token-id', label: 'phone', token: 'secret', createdAt: 1 }] }) };
+    const put = t.mock.method(env.kv, 'put');
+    const subToken = await findSubToken(env, 'secret');
+    await recordSubTokenUse(env, subToken, request, 'normal');
+
+    const keys = put.mock.calls.map(({ arguments: [key] }) => key);
+    assert.equal(keys.length, 2);
+    assert.ok(keys.includes('subTokenUsed:token-id'));
+    assert.ok(keys.some(key => key.startsWith('subTokenLog:')));
+    assert.ok((await env.kv.getWithMetadata('subTokenUsed:token-id')).metadata.lastUsedAt);
+});
+
+test('fetches at the same time each get a log entry, listed latest first', async (t) => {
+    const env = createEnv({}, { pwd: 'panel-password', subTokens: [{ id: 'token-id', label: 'phone', token: 'secret', createdAt: 1 }] });
+    const cookie = await login(env, 'panel-password');
+    globalThis.client = null;
+    const subToken = await findSubToken(env, 'secret');
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    await Promise.all(['normal', 'warp'].map(subType => recordSubTokenUse(env, subToken, request, subType)));
+    t.mock.method(Date, 'now', () => now + 1000);
+    await recordSubTokenUse(env, subToken, request, 'hiddify');
+
+    const { body: { log } } = await (await fetchWorker(env, '/panel/sub-tokens', { headers: { Cookie: cookie } })).json();
+    assert.equal(log[0].subType, 'hiddify');
+    assert.deepEqual(log.slice(1).map(({ subType }) => subType).sort(), ['normal', 'warp']);
+});
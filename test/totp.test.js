@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac, randomBytes } from 'node:crypto';
+import { createMockKV } from './harness/kv.js';
+import { verifySecondFactor } from '../src/authentication/totp.js';
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+function hashRecoveryCode(code) {
+    const salt = randomBytes(16);
+    return `hmac-sha256$${salt.toString('hex')}$${createHmac('sha256', salt).update(code).digest('hex')}`;
+}
+
+test('recovery codes match their salted hashes once, however they are typed', async () => {
+    const recoveryCodes = [hashRecoveryCode('ABCDEFGH'), hashRecoveryCode('ABCDEFGH'), hashRecoveryCode('QRSTUVWX')];
+    const env = { kv: createMockKV({ totp: { secret: SECRET, lastStep: 0, recoveryCodes } }) };
+
+    assert.equal(await verifySecondFactor(env, 'qrst-uvwx'), true);
+    assert.equal(await verifySecondFactor(env, 'QRSTUVWX'), false);
+    assert.equal(await verifySecondFactor(env, 'not a code'), false);
+    assert.deepEqual((await env.kv.get('totp', { type: 'json' })).recoveryCodes, recoveryCodes.slice(0, 2));
+});
+
+test('recovery codes enrolled as unsalted hashes still work', async () => {
+    const legacy = createHash('sha256').update('recovery:ABCDEFGH').digest('hex');
+    const env = { kv: createMockKV({ totp: { secret: SECRET, lastStep: 0, recoveryCodes: [legacy] } }) };
+
+    assert.equal(await verifySecondFactor(env, 'ABCD-EFGH'), true);
+    assert.deepEqual((await env.kv.get('totp', { type: 'json' })).recoveryCodes, []);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockKV } from './harness/kv.js';
+import { checkUserLimits, createTrafficCounter } from '../src/users/traffic.js';
+
+test('quota checks share one usage sum per minute', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const env = { kv: createMockKV() };
+    const list = t.mock.method(env.kv, 'list');
+    const user = { id: 'quota-user', name: 'alice', quota: 1000 };
+
+    assert.deepEqual(await Promise.all(Array.from({ length: 5 }, () => checkUserLimits(env, user))), Array(5).fill(null));
+    assert.equal(list.mock.callCount(), 1);
+
+    t.mock.timers.tick(61 * 1000);
+    assert.equal(await checkUserLimits(env, user), null);
+    assert.equal(list.mock.callCount(), 2);
+});
+
+test('closing connections coalesce into one write per flush interval', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setTimeout'] });
+    const env = { kv: createMockKV() };
+    const put = t.mock.method(env.kv, 'put');
+    const user = { id: 'busy-user', name: 'bob' };
+
+    for (let i = 0; i < 10; i++) {
+        const traffic = createTrafficCounter(env, user);
+        traffic.addUpload(10);
+        traffic.addDownload(100);
+        traffic.close();
+    }
+
+    assert.equal(put.mock.callCount(), 0);
+    t.mock.timers.tick(30 * 1000);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(put.mock.callCount(), 1);
+    assert.deepEqual(put.mock.calls[0].arguments[2].metadata, { upload: 100, download: 1000 });
+});
@@ -0,0 +1,212 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCipheriv, createDecipheriv, createHash, hkdfSync, randomBytes } from 'node:crypto';
+import { connections, onConnect, resetSockets } from './harness/sockets.js';
+import { createEnv, openTunnel, waitFor, TR_PASS, UUID } from './harness/worker.js';
+
+function encodeAddress(host, port) {
+    const name = Buffer.from(host);
+    return Buffer.concat([Buffer.from([3, name.length]), name, Buffer.from([port >> 8, port & 0xff])]);
+}
+
+function vlHeader(host, port, payload = Buffer.alloc(0), uuid = UUID) {
+    const name = Buffer.from(host);
+    return Buffer.concat([
+        Buffer.from([0]),
+        Buffer.from(uuid.replace(/-/g, ''), 'hex'),
+        Buffer.from([0, 1, port >> 8, port & 0xff, 2, name.length]),
+        name,
+        payload,
+    ]);
+}
+
+function trHeader(host, port, payload = Buffer.alloc(0)) {
+    const hash = createHash('sha224').update(TR_PASS).digest('hex');
+    return Buffer.concat([Buffer.from(`${hash}\r\n`), Buffer.from([1]), encodeAddress(host, port), Buffer.from('\r\n'), payload]);
+}
+
+// A Shadowsocks aes-256-gcm client, built on node:crypto so it shares no code with the worker's implementation
+function createSSClient(password) {
+    const keyParts = [];
+    for (let previous = Buffer.alloc(0); Buffer.concat(keyParts).length < 32;) {
+        previous = createHash('md5').update(Buffer.concat([previous, Buffer.from(password)])).digest();
+        keyParts.push(previous);
+    }
+
+    const masterKey = Buffer.concat(keyParts).subarray(0, 32);
+    const createAEAD = (salt) => {
+        const subkey = Buffer.from(hkdfSync('sha1', masterKey, salt, 'ss-subkey', 32));
+        const nonce = Buffer.alloc(12);
+        const nextNonce = () => {
+            const iv = Buffer.from(nonce);
+            for (let i = 0; i < nonce.length && nonce[i]++ === 0xff; i++);
+            return iv;
+        };
+
+        return {
+            seal(data) {
+                const cipher = createCipheriv('aes-256-gcm', subkey, nextNonce());
+                return Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+            },
+            open(data) {
+                const decipher = createDecipheriv('aes-256-gcm', subkey, nextNonce());
+                decipher.setAuthTag(data.subarray(-16));
+                return Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]);
+            },
+        };
+    };
+
+    const salt = randomBytes(32);
+    const sealer = createAEAD(salt);
+    let isSaltSent = false;
+
+    return {
+        encode(payload) {
+            const parts = isSaltSent ? [] : [salt];
+            isSaltSent = true;
+            parts.push(sealer.seal(Buffer.from([payload.length >> 8, payload.length & 0xff])), sealer.seal(payload));
+            return Buffer.concat(parts);
+        },
+        decode(stream) {
+            const opener = createAEAD(stream.subarray(0, 32));
+            const payloads = [];
+            for (let offset = 32; offset < stream.length;) {
+                const length = opener.open(stream.subarray(offset, offset + 18)).readUInt16BE();
+                offset += 18;
+                payloads.push(opener.open(stream.subarray(offset, offset + length + 16)));
+                offset += length + 16;
+            }
+
+            return Buffer.concat(payloads);
+        },
+    };
+}
+
+beforeEach(() => resetSockets());
+
+describe('VL over WebSocket', () => {
+    test('relays TCP and sends the response header before the first reply only', async () => {
+        const tunnel = await openTunnel(createEnv());
+        tunnel.send(vlHeader('example.com', 80, Buffer.from('hello')));
+        await waitFor(() => tunnel.data.length === 7);
+        tunnel.send(Buffer.from(' again'));
+        await waitFor(() => tunnel.data.length === 13);
+
+        assert.deepEqual(connections.map(({ hostname, port }) => [hostname, port]), [['example.com', 80]]);
+        assert.equal(connections[0].data.toString(), 'hello again');
+        assert.deepEqual(tunnel.data, Buffer.concat([Buffer.from([0, 0]), Buffer.from('hello again')]));
+        tunnel.close();
+    });
+
+    test('rejects unknown UUIDs without dialling', async () => {
+        const tunnel = await openTunnel(createEnv());
+        tunnel.send(vlHeader('example.com', 80, Buffer.from('hello'), '00000000-0000-4000-8000-000000000000'));
+        await waitFor(() => tunnel.isClosed);
+        assert.equal(connections.length, 0);
+    });
+
+    test('blocks private destinations', async () => {
+        const tunnel = await openTunnel(createEnv());
+        tunnel.send(vlHeader('localhost', 80, Buffer.from('hello')));
+        await waitFor(() => tunnel.isClosed);
+        assert.equal(connections.length, 0);
+    });
+
+    test('blocks private proxy IPs taken from the path', async () => {
+        onConnect(connection => connection.end());
+        const tunnel = await openTunnel(createEnv(), `/abcdef/${btoa('127.0.0.1:22')}`);
+        tunnel.send(vlHeader('dead.test', 80, Buffer.from('hello')));
+        await waitFor(() => tunnel.isClosed);
+        assert.deepEqual(connections.map(({ hostname, port }) => [hostname, port]), [['dead.test', 80]]);
+    });
+
+    test('retries through the proxy IP when the destination closes without answering', async () => {
+        onConnect(connection => connection.hostname === 'proxyip.test' ? connection.echo() : connection.end());
+        const tunnel = await openTunnel(createEnv());
+        tunnel.send(vlHeader('example.com', 443, Buffer.from('client hello')));
+        await waitFor(() => tunnel.data.length === 14);
+
+        assert.deepEqual(connections.map(({ hostname, port }) => [hostname, port]), [['example.com', 443], ['proxyip.test', 443]]);
+        assert.equal(connections[1].data.toString(), 'client hello');
+        tunnel.close();
+    });
+
+    test('replays everything the client sent when a silent destination is retried', async () => {
+        onConnect(connection => connection.hostname === 'proxyip.test' && connection.echo());
+        const tunnel = await openTunnel(createEnv({ firstByteTimeout: 0.1 }));
+        tunnel.send(vlHeader('example.com', 443, Buffer.from('client hello')));
+        tunnel.send(Buffer.from(', more'));
+        await waitFor(() => connections[0]?.data.length === 18);
+        await waitFor(() => tunnel.data.length === 20);
+
+        assert.deepEqual(connections.map(({ hostname }) => hostname), ['example.com', 'proxyip.test']);
+        assert.equal(connections[1].data.toString(), 'client hello, more');
+        tunnel.close();
+    });
+});
+
+describe('TR over WebSocket', () => {
+    test('relays TCP', async () => {
+        const tunnel = await openTunnel(createEnv(), '/tr');
+        tunnel.send(trHeader('example.com', 8080, Buffer.from('ping')));
+        await waitFor(() => tunnel.data.length === 4);
+
+        assert.deepEqual(connections.map(({ hostname, port }) => [hostname, port]), [['example.com', 8080]]);
+        assert.equal(tunnel.data.toString(), 'ping');
+        tunnel.close();
+    });
+});
+
+describe('Shadowsocks over WebSocket', () => {
+    test('decrypts a client stream split at arbitrary points and encrypts the replies', async () => {
+        const client = createSSClient(TR_PASS);
+        const tunnel = await openTunnel(createEnv(), '/ss');
+        const stream = Buffer.concat([
+            client.encode(Buffer.concat([encodeAddress('example.com', 443), Buffer.from('first')])),
+            client.encode(Buffer.from(' second')),
+        ]);
+
+        // the salt, the first length chunk and both payloads all end up split across messages
+        let offset = 0;
+        for (const cut of [5, 45, 48, 65, stream.length]) {
+            tunnel.send(stream.subarray(offset, cut));
+            offset = cut;
+        }
+
+        await waitFor(() => connections[0]?.data.length === 12);
+        assert.deepEqual([connections[0].hostname, connections[0].port], ['example.com', 443]);
+        assert.equal(connections[0].data.toString(), 'first second');
+
+        const replies = () => {
+            try {
+                return client.decode(tunnel.data).toString();
+            } catch {
+                return '';
+            }
+        };
+
+        await waitFor(() => replies() === 'first second');
+        tunnel.close();
+    });
+
+    test('keeps the nonces in step past 256 chunks', async () => {
+        const client = createSSClient(TR_PASS);
+        const tunnel = await openTunnel(createEnv(), '/ss');
+        tunnel.send(client.encode(encodeAddress('example.com', 443)));
+        for (let i = 0; i < 300; i++) {
+            tunnel.send(client.encode(Buffer.from([i & 0xff])));
+        }
+
+        await waitFor(() => connections[0]?.data.length === 300);
+        assert.deepEqual([...connections[0].data], Array.from({ length: 300 }, (_, i) => i & 0xff));
+        tunnel.close();
+    });
+
+    test('rejects other passwords without dialling', async () => {
+        const client = createSSClient('wrong password');
+        const tunnel = await openTunnel(createEnv(), '/ss');
+        tunnel.send(client.encode(Buffer.concat([encodeAddress('example.com', 443), Buffer.from('first')])));
+        await waitFor(() => tunnel.isClosed);
+        assert.equal(connections.length, 0);
+    });
+});
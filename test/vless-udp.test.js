@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, openTunnel, waitFor, UUID } from './harness/worker.js';
+
+// VL UDP header for a DNS "connection" to 1.1.1.1:53, followed by whatever the client sent with it
+function udpHeader(data = Buffer.alloc(0)) {
+    return Buffer.concat([
+        Buffer.from([0]),
+        Buffer.from(UUID.replace(/-/g, ''), 'hex'),
+        Buffer.from([0, 2, 0, 53, 1, 1, 1, 1, 1]),
+        data,
+    ]);
+}
+
+function frame(...packets) {
+    return Buffer.concat(packets.flatMap(packet => [Buffer.from([packet.length >> 8, packet.length & 0xff]), Buffer.from(packet)]));
+}
+
+// Splits what the worker sent back into the VL response header and the length-prefixed packets after it
+function parseReplies(data) {
+    const packets = [];
+    for (let offset = 2; offset + 2 <= data.length;) {
+        const length = data.readUInt16BE(offset);
+        packets.push(data.subarray(offset + 2, offset + 2 + length).toString());
+        offset += 2 + length;
+    }
+
+    return { header: [...data.subarray(0, 2)], packets };
+}
+
+// Answers each DoH query with "answer:<query>", so replies can be matched to the packets that caused them
+function mockDoH(t, delays = {}) {
+    const queries = [];
+    t.mock.method(globalThis, 'fetch', async (url, { body }) => {
+        const query = Buffer.from(body).toString();
+        queries.push(query);
+        await new Promise(resolve => setTimeout(resolve, delays[query] || 0));
+        return new Response(`answer:${query}`);
+    });
+
+    return queries;
+}
+
+test('de-frames several packets sent in one message', async (t) => {
+    const queries = mockDoH(t);
+    const tunnel = await openTunnel(createEnv());
+    tunnel.send(udpHeader(frame('one', 'two', 'three')));
+    await waitFor(() => parseReplies(tunnel.data).packets.length === 3);
+
+    assert.deepEqual(queries, ['one', 'two', 'three']);
+    assert.deepEqual(parseReplies(tunnel.data), { header: [0, 0], packets: ['answer:one', 'answer:two', 'answer:three'] });
+    tunnel.close();
+});
+
+test('waits for a length prefix split across messages', async (t) => {
+    const queries = mockDoH(t);
+    const tunnel = await openTunnel(createEnv());
+    const data = frame('first', 'second');
+    tunnel.send(udpHeader(data.subarray(0, 8)));
+    tunnel.send(data.subarray(8, 9));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(queries, ['first']);
+
+    tunnel.send(data.subarray(9));
+    await waitFor(() => parseReplies(tunnel.data).packets.length === 2);
+    assert.deepEqual(queries, ['first', 'second']);
+    assert.deepEqual(parseReplies(tunnel.data).packets, ['answer:first', 'answer:second']);
+    tunnel.close();
+});
+
+test('waits for a payload split across messages', async (t) => {
+    const queries = mockDoH(t);
+    const tunnel = await openTunnel(createEnv());
+    const data = frame('a longer query', 'next');
+    tunnel.send(udpHeader(data.subarray(0, 5)));
+    tunnel.send(data.subarray(5, 12));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(queries, []);
+
+    tunnel.send(data.subarray(12));
+    await waitFor(() => parseReplies(tunnel.data).packets.length === 2);
+    assert.deepEqual(queries, ['a longer query', 'next']);
+    assert.deepEqual(parseReplies(tunnel.data), { header: [0, 0], packets: ['answer:a longer query', 'answer:next'] });
+    tunnel.close();
+});
+
+test('answers in query order when the upstream replies out of order', async (t) => {
+    mockDoH(t, { slow: 50 });
+    const tunnel = await openTunnel(createEnv());
+    tunnel.send(udpHeader(frame('slow', 'fast')));
+    await waitFor(() => parseReplies(tunnel.data).packets.length === 2);
+
+    assert.deepEqual(parseReplies(tunnel.data).packets, ['answer:slow', 'answer:fast']);
+    tunnel.close();
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toYAML } from '../src/cores-configs/helpers.js';
+
+test('quotes strings that YAML would read as another type or as syntax', () => {
+    const yaml = toYAML({
+        name: 'plain-name_1.0',
+        reserved: ['yes', 'No', 'on', 'null', 'true'],
+        numeric: '443',
+        hostPort: '1.2.3.4:443',
+        ipv6: '[2001:db8::1]:443',
+        emoji: '💦 Best Ping 🚀',
+        comment: 'a # b',
+        empty: '',
+        port: 443,
+        enabled: false,
+        missing: null,
+        skipped: undefined,
+    });
+
+    assert.equal(yaml, [
+        'name: plain-name_1.0',
+        'reserved:',
+        '  - "yes"',
+        '  - "No"',
+        '  - "on"',
+        '  - "null"',
+        '  - "true"',
+        'numeric: "443"',
+        'hostPort: "1.2.3.4:443"',
+        'ipv6: "[2001:db8::1]:443"',
+        'emoji: "💦 Best Ping 🚀"',
+        'comment: "a # b"',
+        'empty: ""',
+        'port: 443',
+        'enabled: false',
+        'missing: null',
+        '',
+    ].join('\n'));
+});
+
+test('nests arrays and objects in block style', () => {
+    const yaml = toYAML({
+        'proxy-groups': [{ name: 'select', type: 'select', proxies: ['a', 'b'] }],
+        rules: [['DOMAIN', 'example.com'], []],
+        'dns-hijack': {},
+    });
+
+    assert.equal(yaml, [
+        'proxy-groups:',
+        '  - name: select',
+        '    type: select',
+        '    proxies:',
+        '      - a',
+        '      - b',
+        'rules:',
+        '  - - DOMAIN',
+        '    - example.com',
+        '  - []',
+        'dns-hijack: {}',
+        '',
+    ].join('\n'));
+});